@@ -1,701 +1,241 @@
-import React, { useEffect, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import * as THREE from 'three';
+import {
+  generateRobotSpec,
+  PaletteThemes,
+  PALETTE_ROLES,
+  paletteColor,
+  buildRobotFromSpec,
+  buildRobotLOD,
+  updateRobotLOD,
+  createRobotCache,
+  crossRobotSpecs,
+  mutateRobotSpec,
+  createLocomotionController,
+  LocomotionCatalog,
+  MAX_ARMS,
+  partTypes,
+  ACCESSORY_MOUNTS,
+  accessoryTypes,
+  locomotionPartTypes,
+  genomeFromSpec,
+  applyRobotOverrides,
+  HIDDEN_LINE_STYLES,
+  mergeRobotOverrides,
+  solveRobotSpec,
+  robotStats,
+  robotIdentity,
+  exportRobotGLB,
+  exportRobotSTL,
+  exportRobotBlueprint,
+  CATALOG_VERSIONS,
+  CATALOG_VERSION,
+  robotFingerprint
+} from './robogen/index.js';
 
-// ============================================================================
-// SEEDED RNG - Mulberry32
-// ============================================================================
-function createSeededRNG(seed) {
-  let hash = 0;
-  const seedStr = String(seed);
-  for (let i = 0; i < seedStr.length; i++) {
-    hash = ((hash << 5) - hash) + seedStr.charCodeAt(i);
-    hash = hash & hash;
-  }
-  let state = hash >>> 0;
-  
-  return {
-    random() {
-      state |= 0;
-      state = state + 0x6D2B79F5 | 0;
-      let t = Math.imul(state ^ state >>> 15, 1 | state);
-      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
-      return ((t ^ t >>> 14) >>> 0) / 4294967296;
-    },
-    range(min, max) { return min + this.random() * (max - min); },
-    int(min, max) { return Math.floor(this.range(min, max + 1)); },
-    pick(arr) { return arr[this.int(0, arr.length - 1)]; },
-    chance(p = 0.5) { return this.random() < p; }
-  };
-}
+const GRID = { cols: 4, rows: 3 };
+const GRID_MAX = 8;
+const GRID_GAP = 0.8;
+const SCROLL_BUFFER = 2;
+const SPEC_MEMO_SIZE = 1000;
+const CACHE_LIMIT = 2000;
+const BROOD_SIZE = 8;
+const BROOD_COLS = 4;
+// Robots stand on the floor at y = 0; the camera aims this high above it
+const LOOK_HEIGHT = 1.5;
 
-// ============================================================================
-// TESSELLATION CONFIG
-// ============================================================================
-// Detail levels: 1 = minimal (low-poly), 2 = medium, 3 = high detail
-const getTessellation = (detail = 1) => ({
-  box: Math.max(1, detail),
-  cylinderRadial: 4 + detail * 4,  // 8, 12, 16
-  cylinderHeight: detail,
-  sphereWidth: 4 + detail * 4,     // 8, 12, 16
-  sphereHeight: 3 + detail * 3,    // 6, 9, 12
-  torusRadial: 4 + detail * 2,     // 6, 8, 10
-  torusTubular: 8 + detail * 4,    // 12, 16, 20
-  cone: 4 + detail * 4,            // 8, 12, 16
-  edgeThreshold: detail === 1 ? 1 : (detail === 2 ? 15 : 25), // Show more/fewer edges
-});
+// Proportion sliders of the part editor (genome dice)
+const PROPORTIONS = {
+  torsoWidth: 'TORSO W',
+  torsoHeight: 'TORSO H',
+  torsoDepth: 'TORSO D',
+  headSize: 'HEAD',
+  armLength: 'ARM L',
+  armThickness: 'ARM T',
+  legLength: 'LEG L',
+  legThickness: 'LEG T',
+};
 
-// ============================================================================
-// WIREFRAME GEOMETRY HELPERS
-// ============================================================================
-function createWireframe(geometry, color, edgeThreshold = 15) {
-  const edges = new THREE.EdgesGeometry(geometry, edgeThreshold);
-  const material = new THREE.LineBasicMaterial({ color: new THREE.Color(color) });
-  return new THREE.LineSegments(edges, material);
+// Gallery robots, in the palette theme picked in the panel ('' rolls colors
+// from the seed as usual) and from the catalog version picked there
+const gallerySpec = (robotSeed, theme, catalog) => generateRobotSpec(robotSeed, theme ? { palette: theme, catalog } : { catalog });
+
+// Stage entries place robots by `cell`, in units of the stage spacing (which
+// is measured from the robots once built).
+// Gallery: `${seed}-${i}` numbered row by row, `cols` to a row; `center` is
+// the row shown at the origin.
+function galleryEntries(seed, { cols }, firstRow, rowCount, center, specOf) {
+  const entries = [];
+  for (let row = firstRow; row < firstRow + rowCount; row++) {
+    for (let col = 0; col < cols; col++) {
+      entries.push({ spec: specOf(`${seed}-${row * cols + col}`), cell: [col - (cols - 1) / 2, row - center] });
+    }
+  }
+  return entries;
 }
 
-// Create solid mesh with flat shading (SVGA style)
-function createSolidMesh(geometry, color, opacity = 0.85) {
-  const col = new THREE.Color(color);
-  // Darken slightly for solid faces
-  col.multiplyScalar(0.7);
-  const material = new THREE.MeshLambertMaterial({ 
-    color: col,
-    flatShading: true,
-    transparent: opacity < 1,
-    opacity: opacity,
-    side: THREE.DoubleSide
+// Breeding: children 1-8 in the two front rows, the parent pair behind them
+function breedEntries(parents, brood, mutation) {
+  const children = Array.from({ length: BROOD_SIZE }, (_, i) => {
+    const childSeed = `${brood}.${i + 1}`;
+    const child = crossRobotSpecs(parents[0], parents[1], { seed: childSeed });
+    return {
+      spec: mutation > 0 ? mutateRobotSpec(child, { amount: mutation, seed: childSeed }) : child,
+      cell: [i % BROOD_COLS - (BROOD_COLS - 1) / 2, 1 - Math.floor(i / BROOD_COLS)],
+    };
   });
-  return new THREE.Mesh(geometry, material);
+  return [
+    ...children,
+    { spec: parents[0], cell: [-1, -1.3] },
+    { spec: parents[1], cell: [1, -1.3] },
+  ];
 }
 
-function addToGroup(group, geometry, color, pos = [0,0,0], rot = [0,0,0], scale = [1,1,1], edgeThreshold = 15, showSolid = false) {
-  const wrapper = new THREE.Group();
-  
-  // Add solid mesh first (renders behind wireframe)
-  if (showSolid) {
-    const solid = createSolidMesh(geometry, color);
-    wrapper.add(solid);
-  }
-  
-  // Add wireframe on top
-  const wire = createWireframe(geometry, color, edgeThreshold);
-  wrapper.add(wire);
-  
-  wrapper.position.set(...pos);
-  wrapper.rotation.set(...rot);
-  wrapper.scale.set(...(Array.isArray(scale) ? scale : [scale, scale, scale]));
-  group.add(wrapper);
-  return wrapper;
+// Radius a robot sweeps as it turns about its own vertical axis
+function footprintOf(robot) {
+  const box = new THREE.Box3().setFromObject(robot);
+  return Math.hypot(Math.max(-box.min.x, box.max.x), Math.max(-box.min.z, box.max.z));
 }
 
-// Geometry factory with tessellation support
-const createGeo = {
-  box: (w, h, d, tess) => new THREE.BoxGeometry(w, h, d, tess.box, tess.box, tess.box),
-  cylinder: (rt, rb, h, tess) => new THREE.CylinderGeometry(rt, rb, h, tess.cylinderRadial, tess.cylinderHeight),
-  sphere: (r, tess) => new THREE.SphereGeometry(r, tess.sphereWidth, tess.sphereHeight),
-  cone: (r, h, tess) => new THREE.ConeGeometry(r, h, tess.cone),
-  torus: (r, tube, tess) => new THREE.TorusGeometry(r, tube, tess.torusRadial, tess.torusTubular),
-  // Platonic solids with subdivision detail
-  octahedron: (r, detail = 0) => new THREE.OctahedronGeometry(r, detail),
-  tetrahedron: (r, detail = 0) => new THREE.TetrahedronGeometry(r, detail),
-  icosahedron: (r, detail = 0) => new THREE.IcosahedronGeometry(r, detail),
-  dodecahedron: (r, detail = 0) => new THREE.DodecahedronGeometry(r, detail),
-};
+// Stat card bars: [stat, label, value that fills the bar]
+const STAT_BARS = [
+  ['hp', 'HP', 800],
+  ['armor', 'ARMOR', 16],
+  ['speed', 'SPEED', 5],
+  ['attack', 'ATTACK', 150],
+  ['sensorRange', 'SENSOR', 30],
+];
 
-// ============================================================================
-// PART GENERATORS (with tessellation and solid mesh support)
-// ============================================================================
-const HeadGenerators = {
-  cube: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(size, size * 0.8, size * 0.7, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    const ah = rng.range(0.2, 0.5);
-    addToGroup(group, createGeo.cylinder(0.02, 0.03, ah, tess), color, [size * 0.3, size * 0.4 + ah/2, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.octahedron(0.06, tess.box > 1 ? 1 : 0), color, [size * 0.3, size * 0.4 + ah + 0.06, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  dome: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(size * 0.5, size * 0.6, size * 0.4, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(size * 0.45, tess), color, [0, size * 0.35, 0], [0,0,0], [1,1,1], et, solid);
-    const sc = rng.int(2, 4);
-    for (let i = 0; i < sc; i++) {
-      const a = (i / sc) * Math.PI * 2;
-      addToGroup(group, createGeo.cylinder(0.04, 0.04, 0.15, tess), color, 
-        [Math.cos(a) * size * 0.35, size * 0.1, Math.sin(a) * size * 0.35],
-        [Math.PI / 6 * Math.cos(a), 0, -Math.PI / 6 * Math.sin(a)], [1,1,1], et, solid);
-    }
-  },
-  visor: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(size, size * 0.5, size * 0.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(size * 1.1, size * 0.15, size * 0.2, tess), color, [0, size * 0.05, size * 0.35], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(size * 0.2, size * 0.3, size * 0.15, tess), color, [0, size * 0.4, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  pyramid: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(size * 0.7, size * 0.2, size * 0.7, tess), color, [0, -size * 0.3, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cone(size * 0.5, size * 0.8, tess), color, [0, size * 0.2, 0], [0, Math.PI/4, 0], [1,1,1], et, solid);
-  },
-  turret: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(size * 0.4, size * 0.5, size * 0.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    const bc = rng.int(1, 3);
-    for (let i = 0; i < bc; i++) {
-      addToGroup(group, createGeo.cylinder(0.08, 0.08, size * 0.6, tess), color,
-        [(i - (bc-1)/2) * 0.15, 0, size * 0.5], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-    }
-  },
-  cluster: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const sd = tess.box > 1 ? 1 : 0;
-    addToGroup(group, createGeo.octahedron(size * 0.25, sd), color, [0, size * 0.15, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(size * 0.4, size * 0.3, size * 0.4, tess), color, [0, -size * 0.1, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.tetrahedron(size * 0.15, sd), color, [size * 0.25, size * 0.2, size * 0.1], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.tetrahedron(size * 0.15, sd), color, [-size * 0.25, size * 0.2, size * 0.1], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Cyclops eye head
-  cyclops: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(size * 0.5, tess), color, [0, 0, 0], [0,0,0], [1, 0.8, 0.9], et, solid);
-    addToGroup(group, createGeo.cylinder(size * 0.25, size * 0.25, size * 0.15, tess), color, [0, 0, size * 0.4], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(size * 0.18, tess), color, [0, 0, size * 0.5], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Flat wide scanner head
-  scanner: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(size * 1.4, size * 0.25, size * 0.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(size * 1.2, size * 0.08, size * 0.15, tess), color, [0, 0, size * 0.3], [0,0,0], [1,1,1], et, solid);
-    const lc = rng.int(3, 5);
-    for (let i = 0; i < lc; i++) {
-      const x = (i - (lc-1)/2) * (size * 0.3);
-      addToGroup(group, createGeo.box(size * 0.08, size * 0.12, size * 0.08, tess), color, [x, size * 0.18, 0], [0,0,0], [1,1,1], et, solid);
-    }
-  },
-  // NEW: Insectoid compound head
-  insect: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const sd = tess.box > 1 ? 1 : 0;
-    addToGroup(group, createGeo.dodecahedron(size * 0.35, sd), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(size * 0.22, tess), color, [size * 0.28, size * 0.1, size * 0.15], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(size * 0.22, tess), color, [-size * 0.28, size * 0.1, size * 0.15], [0,0,0], [1,1,1], et, solid);
-    // Mandibles
-    addToGroup(group, createGeo.cone(size * 0.08, size * 0.3, tess), color, [size * 0.15, -size * 0.2, size * 0.2], [0.5, 0, 0.3], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cone(size * 0.08, size * 0.3, tess), color, [-size * 0.15, -size * 0.2, size * 0.2], [0.5, 0, -0.3], [1,1,1], et, solid);
-  },
-  // NEW: Blocky monitor head
-  monitor: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(size * 0.9, size * 0.7, size * 0.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(size * 0.7, size * 0.5, size * 0.05, tess), color, [0, 0, size * 0.26], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(size * 0.08, size * 0.12, size * 0.3, tess), color, [0, -size * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Horned demon head
-  horned: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(size * 0.7, size * 0.6, size * 0.65, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cone(size * 0.12, size * 0.5, tess), color, [size * 0.35, size * 0.4, -size * 0.1], [-0.3, 0, 0.4], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cone(size * 0.12, size * 0.5, tess), color, [-size * 0.35, size * 0.4, -size * 0.1], [-0.3, 0, -0.4], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(size * 0.5, size * 0.1, size * 0.15, tess), color, [0, size * 0.05, size * 0.35], [0,0,0], [1,1,1], et, solid);
-  },
-};
+// Selected robots draw their edges with this instead of their own (shared,
+// cached) materials, so highlighting never touches other robots
+const HIGHLIGHT_MATERIAL = new THREE.LineBasicMaterial({ color: '#ffffff' });
 
-const TorsoGenerators = {
-  box: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(w, h, d, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.6, 0.15, d * 0.3, tess), color, [0, h * 0.3, d * 0.4], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.4, h * 0.5, d * 0.15, tess), color, [0, -h * 0.1, d * 0.35], [0,0,0], [1,1,1], et, solid);
-  },
-  hex: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, new THREE.CylinderGeometry(w * 0.5, w * 0.5, h, 6, tess.cylinderHeight), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, new THREE.CylinderGeometry(w * 0.55, w * 0.55, h * 0.1, 6, 1), color, [0, h * 0.55, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, new THREE.CylinderGeometry(w * 0.55, w * 0.55, h * 0.1, 6, 1), color, [0, -h * 0.55, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  tapered: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(w * 0.35, w * 0.55, h, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 1.3, h * 0.15, d * 0.8, tess), color, [0, h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.5, h * 0.1, d * 0.4, tess), color, [0, -h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  segmented: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const n = rng.int(3, 5);
-    const sh = h / n;
-    for (let i = 0; i < n; i++) {
-      const y = (i - (n-1)/2) * sh;
-      const s = 1 - Math.abs(i - (n-1)/2) * 0.1;
-      addToGroup(group, createGeo.box(w * s, sh * 0.85, d * s, tess), color, [0, y, 0], [0,0,0], [1,1,1], et, solid);
-    }
-  },
-  spheroid: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(w * 0.6, tess), color, [0, 0, 0], [0, 0, 0], [1, h/w * 0.8, d/w], et, solid);
-    addToGroup(group, createGeo.torus(w * 0.35, 0.06, tess), color, [0, h * 0.35, 0], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(w * 0.25, w * 0.35, h * 0.2, tess), color, [0, -h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  industrial: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(w, h * 0.7, d, tess), color, [0, -h * 0.1, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 1.2, h * 0.25, d * 1.1, tess), color, [0, h * 0.35, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(0.06, 0.06, h * 0.4, tess), color, [w * 0.5, 0, d * 0.3], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(0.06, 0.06, h * 0.4, tess), color, [-w * 0.5, 0, d * 0.3], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Barrel/drum torso
-  barrel: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(w * 0.55, w * 0.55, h, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    // Bands
-    addToGroup(group, createGeo.torus(w * 0.58, 0.04, tess), color, [0, h * 0.35, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.torus(w * 0.58, 0.04, tess), color, [0, -h * 0.35, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.torus(w * 0.58, 0.04, tess), color, [0, 0, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Angular stealth torso
-  stealth: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    // Main angular body
-    addToGroup(group, createGeo.box(w, h * 0.5, d * 0.7, tess), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
-    // Angled top
-    addToGroup(group, createGeo.box(w * 0.8, h * 0.3, d * 0.5, tess), color, [0, h * 0.35, d * 0.1], [0.2,0,0], [1,1,1], et, solid);
-    // Angled bottom
-    addToGroup(group, createGeo.box(w * 0.7, h * 0.25, d * 0.4, tess), color, [0, -h * 0.35, d * 0.05], [-0.15,0,0], [1,1,1], et, solid);
-    // Side panels
-    addToGroup(group, createGeo.box(w * 0.15, h * 0.6, d * 0.5, tess), color, [w * 0.55, 0, 0], [0,0,0.1], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.15, h * 0.6, d * 0.5, tess), color, [-w * 0.55, 0, 0], [0,0,-0.1], [1,1,1], et, solid);
-  },
-  // NEW: Spinal/vertebrae torso
-  spinal: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const segments = rng.int(4, 7);
-    const segH = h / segments;
-    for (let i = 0; i < segments; i++) {
-      const y = (i - (segments-1)/2) * segH;
-      const scale = 0.7 + Math.sin((i / segments) * Math.PI) * 0.3;
-      addToGroup(group, createGeo.octahedron(w * 0.35 * scale, 0), color, [0, y, 0], [0,0,0], [1, 0.6, 1], et, solid);
+function setHighlight(root, on) {
+  root.traverse((obj) => {
+    if (!obj.isLineSegments || obj.userData.occludedEdges) return;
+    if (on && !obj.userData.baseMaterial) {
+      obj.userData.baseMaterial = obj.material;
+      obj.material = HIGHLIGHT_MATERIAL;
+    } else if (!on && obj.userData.baseMaterial) {
+      obj.material = obj.userData.baseMaterial;
+      delete obj.userData.baseMaterial;
     }
-    // Spine
-    addToGroup(group, createGeo.cylinder(w * 0.08, w * 0.08, h * 0.9, tess), color, [0, 0, -d * 0.3], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Cage/skeletal torso
-  cage: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    // Top and bottom plates
-    addToGroup(group, createGeo.box(w, h * 0.1, d, tess), color, [0, h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.8, h * 0.1, d * 0.8, tess), color, [0, -h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
-    // Ribs
-    const ribCount = rng.int(3, 5);
-    for (let i = 0; i < ribCount; i++) {
-      const y = h * 0.3 - i * (h * 0.6 / (ribCount - 1));
-      addToGroup(group, createGeo.torus(w * 0.4, 0.03, tess), color, [0, y, d * 0.1], [0,0,0], [1, 0.6, 1], et, solid);
-    }
-    // Core
-    addToGroup(group, createGeo.sphere(w * 0.2, tess), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Layered/plated torso  
-  plated: (group, w, h, d, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(w * 0.6, h * 0.8, d * 0.5, tess), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
-    // Front plates
-    addToGroup(group, createGeo.box(w * 0.9, h * 0.35, d * 0.15, tess), color, [0, h * 0.2, d * 0.35], [0.1,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.85, h * 0.35, d * 0.15, tess), color, [0, -h * 0.2, d * 0.3], [-0.1,0,0], [1,1,1], et, solid);
-    // Side plates
-    addToGroup(group, createGeo.box(w * 0.15, h * 0.7, d * 0.6, tess), color, [w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.15, h * 0.7, d * 0.6, tess), color, [-w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
-  },
-};
-
-const ArmGenerators = {
-  standard: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(thick * 1.2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick, thick * 0.9, len, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.96, tess), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.7, len * 0.9, tess), color, [0, -len * 1.45, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.5, thick * 0.8, thick * 1.2, tess), color, [0, -len * 1.95, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  armored: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(thick * 2.5, thick * 1.5, thick * 2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2, len, thick * 1.5, tess), color, [0, -len * 0.55, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.octahedron(thick * 0.8, tess.box > 1 ? 1 : 0), color, [0, -len * 1.05, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.6, len * 0.9, thick * 1.3, tess), color, [0, -len * 1.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2, thick * 1.2, thick * 1.8, tess), color, [0, -len * 2, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  skeletal: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const sd = tess.box > 1 ? 1 : 0;
-    addToGroup(group, createGeo.icosahedron(thick * 0.8, sd), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.35, thick * 0.35, len * 0.6, tess), color, [0, -len * 0.55, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.4, tess), color, [0, -len * 0.25, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.4, tess), color, [0, -len * 0.85, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.icosahedron(thick * 0.56, sd), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, len * 0.5, tess), color, [0, -len * 1.45, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.35, tess), color, [0, -len * 1.2, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.35, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.tetrahedron(thick * 0.8, sd), color, [0, -len * 1.9, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  hydraulic: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(thick * 1.2, thick * 1.2, thick * 0.8, tess), color, [0, 0, 0], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick, thick, len * 0.45, tess), color, [0, -len * 0.3, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.5, thick * 0.5, len * 0.6, tess), color, [thick * 0.5, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.96, thick * 0.96, thick * 0.64, tess), color, [0, -len * 0.7, 0], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.9, thick * 0.9, len * 0.45, tess), color, [0, -len * 1.15, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.8, thick, thick * 1.4, tess), color, [0, -len * 1.75, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  tentacle: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const sd = tess.box > 1 ? 1 : 0;
-    const n = rng.int(5, 8);
-    const sl = len * 2 / n;
-    for (let i = 0; i < n; i++) {
-      const s = 1 - (i / n) * 0.5;
-      addToGroup(group, createGeo.octahedron(thick * s, sd), color, [0, -i * sl, 0], [0,0,0], [1,1,1], et, solid);
-      if (i < n - 1) {
-        const ns = 1 - ((i + 1) / n) * 0.5;
-        addToGroup(group, new THREE.CylinderGeometry(thick * 0.3 * s, thick * 0.3 * ns, sl * 0.7, tess.cylinderRadial), color, [0, -i * sl - sl * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-      }
-    }
-  },
-  // NEW: Claw arm
-  claw: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(thick * 1.1, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.9, thick * 0.7, len, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.8, tess), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.6, thick * 0.5, len * 0.7, tess), color, [0, -len * 1.4, 0], [0,0,0], [1,1,1], et, solid);
-    // Claw fingers
-    const clawCount = 3;
-    for (let i = 0; i < clawCount; i++) {
-      const angle = (i / clawCount) * Math.PI * 2 - Math.PI / 2;
-      addToGroup(group, createGeo.cone(thick * 0.25, len * 0.4, tess), color, 
-        [Math.cos(angle) * thick * 0.4, -len * 1.9, Math.sin(angle) * thick * 0.4], 
-        [0.4 * Math.sin(angle), 0, -0.4 * Math.cos(angle)], [1,1,1], et, solid);
-    }
-  },
-  // NEW: Blade arm
-  blade: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(thick * 2, thick * 1.5, thick * 1.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.2, len, thick, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.4, thick * 0.8, thick * 1.2, tess), color, [0, -len * 1.05, 0], [0,0,0], [1,1,1], et, solid);
-    // Blade
-    addToGroup(group, createGeo.box(thick * 0.15, len * 1.2, thick * 2, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cone(thick * 0.1, len * 0.3, tess), color, [0, -len * 2.4, 0], [Math.PI, 0, 0], [1, 1, thick * 12], et, solid);
-  },
-  // NEW: Cannon arm
-  cannon: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(thick * 1.3, thick * 1.3, thick, tess), color, [0,0,0], [Math.PI/2,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 1.1, thick * 0.9, len * 0.6, tess), color, [0, -len * 0.35, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 1.0, thick * 1.0, thick * 0.5, tess), color, [0, -len * 0.7, 0], [0,0,0], [1,1,1], et, solid);
-    // Barrel
-    addToGroup(group, createGeo.cylinder(thick * 0.7, thick * 0.7, len * 1.2, tess), color, [0, -len * 1.35, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.torus(thick * 0.75, thick * 0.15, tess), color, [0, -len * 0.9, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.torus(thick * 0.75, thick * 0.1, tess), color, [0, -len * 1.9, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Shield arm
-  shield: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(thick * 1.0, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.7, len * 0.8, tess), color, [0, -len * 0.45, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.75, tess), color, [0, -len * 0.9, 0], [0,0,0], [1,1,1], et, solid);
-    // Shield plate
-    addToGroup(group, createGeo.box(thick * 4, len * 1.0, thick * 0.3, tess), color, [0, -len * 1.4, thick * 1.5], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, thick * 1.2, tess), color, [0, -len * 1.2, thick * 0.6], [Math.PI/2,0,0], [1,1,1], et, solid);
-  },
-};
+  });
+}
 
-const LegGenerators = {
-  standard: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(thick * 1.1, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick, thick * 0.85, len, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.99, tess), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.6, len * 0.95, tess), color, [0, -len * 1.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.7, tess), color, [0, -len * 2, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2, thick * 0.6, thick * 3, tess), color, [0, -len * 2.15, thick * 0.5], [0,0,0], [1,1,1], et, solid);
-  },
-  digitigrade: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const sd = tess.box > 1 ? 1 : 0;
-    addToGroup(group, createGeo.sphere(thick * 1.1, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick, thick * 0.8, len * 0.7, tess), color, [0, -len * 0.35, thick * 0.2], [-0.2, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.icosahedron(thick * 0.8, sd), color, [0, -len * 0.75, thick * 0.35], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.7, thick * 0.5, len * 0.8, tess), color, [0, -len * 1.2, -thick * 0.1], [0.4, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.6, tess), color, [0, -len * 1.65, -thick * 0.4], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.4, thick * 0.6, len * 0.5, tess), color, [0, -len * 1.9, -thick * 0.1], [0.8, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cone(thick * 0.4, thick * 1.2, tess), color, [0, -len * 2.05, thick * 0.4], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-  },
-  armored: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(thick * 2, thick * 1.2, thick * 2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2.2, len, thick * 1.8, tess), color, [0, -len * 0.55, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2.5, thick * 1.5, thick * 2.2, tess), color, [0, -len * 1.1, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2, len * 0.95, thick * 1.6, tess), color, [0, -len * 1.6, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2.5, thick * 0.8, thick * 3.5, tess), color, [0, -len * 2.15, thick * 0.3], [0,0,0], [1,1,1], et, solid);
-  },
-  piston: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(thick * 1.4, thick * 1.4, thick * 0.8, tess), color, [0, 0, 0], [0, 0, Math.PI/2], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 1.2, thick * 1.2, len * 0.5, tess), color, [0, -len * 0.3, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.8, len * 0.7, tess), color, [0, -len * 0.85, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, len * 0.8, tess), color, [thick * 0.8, -len * 0.6, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, len * 0.8, tess), color, [-thick * 0.8, -len * 0.6, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 1.1, thick * 0.9, thick * 0.6, tess), color, [0, -len * 1.35, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.7, thick * 0.5, len * 0.6, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2.2, thick * 0.5, thick * 3, tess), color, [0, -len * 2.05, thick * 0.4], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Spider/multi-jointed leg
-  spider: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(thick * 1.0, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    // First segment - goes outward
-    addToGroup(group, createGeo.cylinder(thick * 0.6, thick * 0.5, len * 0.5, tess), color, [0, -len * 0.15, thick * 0.3], [-0.8, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.55, tess), color, [0, -len * 0.35, thick * 0.55], [0,0,0], [1,1,1], et, solid);
-    // Second segment - goes down
-    addToGroup(group, createGeo.cylinder(thick * 0.45, thick * 0.35, len * 0.8, tess), color, [0, -len * 0.8, thick * 0.4], [0.3, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.4, tess), color, [0, -len * 1.25, thick * 0.2], [0,0,0], [1,1,1], et, solid);
-    // Third segment - tip
-    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.15, len * 0.6, tess), color, [0, -len * 1.6, thick * 0.1], [0.1, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cone(thick * 0.2, thick * 0.4, tess), color, [0, -len * 1.95, thick * 0.05], [Math.PI, 0, 0], [1,1,1], et, solid);
-  },
-  // NEW: Hooved/animal leg
-  hooved: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(thick * 1.2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 1.0, thick * 0.7, len * 0.6, tess), color, [0, -len * 0.35, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.75, tess), color, [0, -len * 0.7, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.5, thick * 0.4, len * 0.9, tess), color, [0, -len * 1.2, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.45, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
-    // Hoof
-    addToGroup(group, createGeo.cylinder(thick * 0.6, thick * 0.8, thick * 0.5, tess), color, [0, -len * 2.0, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Blocky/chunky leg
-  blocky: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.box(thick * 1.8, thick * 1.0, thick * 1.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.5, len * 0.9, thick * 1.4, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.8, thick * 0.8, thick * 1.6, tess), color, [0, -len * 1.0, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 1.4, len * 0.85, thick * 1.3, tess), color, [0, -len * 1.5, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(thick * 2.0, thick * 0.6, thick * 2.8, tess), color, [0, -len * 2.0, thick * 0.3], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Stilts/thin leg
-  stilts: (group, len, thick, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(thick * 1.0, thick * 0.8, thick * 0.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.4, thick * 0.35, len * 1.3, tess), color, [0, -len * 0.7, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.sphere(thick * 0.5, tess), color, [0, -len * 1.35, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.25, len * 0.8, tess), color, [0, -len * 1.8, 0], [0,0,0], [1,1,1], et, solid);
-    // Pointed foot
-    addToGroup(group, createGeo.cone(thick * 0.5, thick * 0.8, tess), color, [0, -len * 2.3, 0], [Math.PI, 0, 0], [1,1,1], et, solid);
-  },
-};
+// Inspector facts: part types, rest-pose size and primitive counts at `detail`
+function inspectRobot(spec, detail) {
+  const cache = createRobotCache();
+  const robot = buildRobotFromSpec(spec, { detail, solid: true, cache });
+  const size = new THREE.Box3().setFromObject(robot).getSize(new THREE.Vector3());
+  let edges = 0;
+  let triangles = 0;
+  robot.traverse((obj) => {
+    const { index, attributes } = obj.geometry || {};
+    if (obj.isLineSegments) edges += attributes.position.count / 2;
+    else if (obj.isMesh) triangles += (index ? index.count : attributes.position.count) / 3;
+  });
+  cache.dispose();
 
-const TrackGenerators = {
-  tank: (group, w, len, h, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const wc = rng.int(3, 5);
-    const ws = len / (wc - 1);
-    addToGroup(group, createGeo.box(w, h * 0.15, len, tess), color, [0, h * 0.4, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w, h * 0.15, len, tess), color, [0, -h * 0.4, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.1, h, len, tess), color, [w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.box(w * 0.1, h, len, tess), color, [-w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
-    for (let i = 0; i < wc; i++) {
-      addToGroup(group, createGeo.cylinder(h * 0.45, h * 0.45, w * 0.9, tess), color, [0, 0, -len/2 + i * ws], [0, 0, Math.PI/2], [1,1,1], et, solid);
-    }
-    addToGroup(group, createGeo.cylinder(h * 0.5, h * 0.5, w, tess), color, [0, 0, len/2], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(h * 0.5, h * 0.5, w, tess), color, [0, 0, -len/2], [Math.PI/2, 0, 0], [1,1,1], et, solid);
-  },
-  wheel: (group, radius, width, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.torus(radius * 0.85, radius * 0.15, tess), color, [0, 0, 0], [0, 0, Math.PI/2], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(radius * 0.3, radius * 0.3, width, tess), color, [0, 0, 0], [0, 0, Math.PI/2], [1,1,1], et, solid);
-    const sc = rng.int(4, 8);
-    for (let i = 0; i < sc; i++) {
-      const a = (i / sc) * Math.PI * 2;
-      addToGroup(group, createGeo.cylinder(radius * 0.05, radius * 0.05, radius * 0.6, tess), color,
-        [0, Math.cos(a) * radius * 0.4, Math.sin(a) * radius * 0.4], [0, 0, a + Math.PI/2], [1,1,1], et, solid);
-    }
-  },
-  hover: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.cylinder(size * 0.5, size * 0.6, size * 0.3, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.torus(size * 0.45, size * 0.08, tess), color, [0, -size * 0.1, 0], [0,0,0], [1,1,1], et, solid);
-    const vc = rng.int(4, 8);
-    for (let i = 0; i < vc; i++) {
-      const a = (i / vc) * Math.PI * 2;
-      addToGroup(group, createGeo.box(size * 0.15, size * 0.25, size * 0.08, tess), color,
-        [Math.cos(a) * size * 0.35, 0, Math.sin(a) * size * 0.35], [0, -a, 0], [1,1,1], et, solid);
-    }
-  },
-  // NEW: Ball/sphere locomotion
-  ball: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    addToGroup(group, createGeo.sphere(size * 0.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
-    // Housing
-    addToGroup(group, createGeo.torus(size * 0.35, size * 0.08, tess), color, [0, size * 0.25, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
-    addToGroup(group, createGeo.cylinder(size * 0.4, size * 0.5, size * 0.15, tess), color, [0, size * 0.35, 0], [0,0,0], [1,1,1], et, solid);
-  },
-  // NEW: Tri-wheel cluster
-  triwheel: (group, size, color, rng, tess, solid) => {
-    const et = tess.edgeThreshold;
-    const wheelR = size * 0.3;
-    for (let i = 0; i < 3; i++) {
-      const a = (i / 3) * Math.PI * 2 + Math.PI / 2;
-      const x = Math.cos(a) * size * 0.35;
-      const y = Math.sin(a) * size * 0.35;
-      addToGroup(group, createGeo.cylinder(wheelR, wheelR, size * 0.15, tess), color, [x, y, 0], [0,0,Math.PI/2], [1,1,1], et, solid);
-    }
-    // Center hub
-    addToGroup(group, createGeo.cylinder(size * 0.15, size * 0.15, size * 0.2, tess), color, [0,0,0], [0,0,Math.PI/2], [1,1,1], et, solid);
-  },
-};
+  const typesOf = (category) => [...new Set(spec.parts.filter((p) => p.category === category).map((p) => p.type))].join(' / ');
+  const drive = spec.parts.find((p) => p.category === 'leg' || p.category === 'track');
+  return {
+    rows: [
+      ['TORSO', typesOf('torso')],
+      ['HEAD', typesOf('head')],
+      ['ARMS', `${spec.parts.filter((p) => p.category === 'arm').length}× ${typesOf('arm') || '-'}`],
+      ['DRIVE', drive ? `${spec.locomotion} (${typesOf(drive.category)})` : spec.locomotion],
+      ['RARITY', spec.rarity],
+      ['CATALOG', spec.catalog],
+      ['PRINT', robotFingerprint(spec)],
+      ['SIZE', size.toArray().map((v) => v.toFixed(2)).join(' × ')],
+      ['EDGES', edges.toLocaleString()],
+      ['TRIS', triangles.toLocaleString()],
+    ],
+    colors: [...new Set([
+      spec.palette.primary,
+      spec.palette.secondary,
+      ...spec.parts.flatMap((p) => (p.jointColor ? [p.color, p.jointColor] : [p.color])),
+    ])],
+    stats: robotStats(spec),
+    identity: robotIdentity(spec),
+  };
+}
 
 // ============================================================================
-// ROBOT GENERATOR
+// URL STATE
 // ============================================================================
-function generateRobot(seed, detail = 1, showSolid = false) {
-  const rng = createSeededRNG(seed);
-  const tess = getTessellation(detail);
-  const robot = new THREE.Group();
-  
-  // Colors
-  const hue = rng.range(0, 1);
-  const color1 = new THREE.Color().setHSL(hue, rng.range(0.6, 1), rng.range(0.45, 0.65));
-  const color2 = new THREE.Color().setHSL((hue + rng.range(0.08, 0.17)) % 1, rng.range(0.6, 1), rng.range(0.5, 0.7));
-  const c1 = '#' + color1.getHexString();
-  const c2 = '#' + color2.getHexString();
-  
-  // Size
-  const scale = rng.range(0.7, 1.3);
-  
-  // Torso
-  const torsoTypes = Object.keys(TorsoGenerators);
-  const torsoType = rng.pick(torsoTypes);
-  const tw = 0.8 * scale * rng.range(0.8, 1.3);
-  const th = 1.2 * scale * rng.range(0.8, 1.2);
-  const td = 0.5 * scale * rng.range(0.8, 1.2);
-  const torso = new THREE.Group();
-  TorsoGenerators[torsoType](torso, tw, th, td, c1, rng, tess, showSolid);
-  robot.add(torso);
-  
-  // Head
-  const headTypes = Object.keys(HeadGenerators);
-  const headType = rng.pick(headTypes);
-  const hs = 0.6 * scale * rng.range(0.8, 1.2);
-  const head = new THREE.Group();
-  HeadGenerators[headType](head, hs, c2, rng, tess, showSolid);
-  head.position.y = th * 0.5 + hs * 0.4;
-  robot.add(head);
-  
-  // Arms
-  const hasArms = rng.chance(0.85);
-  if (hasArms) {
-    const armTypes = Object.keys(ArmGenerators);
-    const armType = rng.pick(armTypes);
-    const al = 0.6 * scale * rng.range(0.8, 1.2);
-    const at = 0.12 * scale * rng.range(0.8, 1.3);
-    
-    const leftArm = new THREE.Group();
-    ArmGenerators[armType](leftArm, al, at, c1, rng, tess, showSolid);
-    leftArm.position.set(tw * 0.55 + at, th * 0.35, 0);
-    leftArm.rotation.z = 0.1;
-    robot.add(leftArm);
-    
-    const rightArm = new THREE.Group();
-    ArmGenerators[armType](rightArm, al, at, c1, rng, tess, showSolid);
-    rightArm.position.set(-(tw * 0.55 + at), th * 0.35, 0);
-    rightArm.rotation.z = -0.1;
-    robot.add(rightArm);
-  }
-  
-  // Locomotion
-  const locoTypes = ['bipedal', 'bipedal', 'bipedal', 'tracked', 'wheeled', 'hover'];
-  const locoType = rng.pick(locoTypes);
-  
-  if (locoType === 'bipedal') {
-    const legTypes = Object.keys(LegGenerators);
-    const legType = rng.pick(legTypes);
-    const ll = 0.8 * scale * rng.range(0.8, 1.2);
-    const lt = 0.15 * scale * rng.range(0.8, 1.2);
-    
-    const leftLeg = new THREE.Group();
-    LegGenerators[legType](leftLeg, ll, lt, c1, rng, tess, showSolid);
-    leftLeg.position.set(tw * 0.3, -th * 0.5, 0);
-    robot.add(leftLeg);
-    
-    const rightLeg = new THREE.Group();
-    LegGenerators[legType](rightLeg, ll, lt, c1, rng, tess, showSolid);
-    rightLeg.position.set(-tw * 0.3, -th * 0.5, 0);
-    robot.add(rightLeg);
-  } else if (locoType === 'tracked') {
-    const trackW = 0.4 * scale;
-    const trackL = 1.5 * scale;
-    const trackH = 0.5 * scale;
-    
-    const leftTrack = new THREE.Group();
-    TrackGenerators.tank(leftTrack, trackW, trackL, trackH, c1, rng, tess, showSolid);
-    leftTrack.position.set(tw * 0.5 + trackW * 0.5, -th * 0.5 - 0.1, 0);
-    robot.add(leftTrack);
-    
-    const rightTrack = new THREE.Group();
-    TrackGenerators.tank(rightTrack, trackW, trackL, trackH, c1, rng, tess, showSolid);
-    rightTrack.position.set(-(tw * 0.5 + trackW * 0.5), -th * 0.5 - 0.1, 0);
-    robot.add(rightTrack);
-  } else if (locoType === 'wheeled') {
-    const wr = 0.35 * scale;
-    const ww = 0.15 * scale;
-    const positions = [
-      [tw * 0.6, -th * 0.5 - wr * 0.5, td * 0.8],
-      [-tw * 0.6, -th * 0.5 - wr * 0.5, td * 0.8],
-      [tw * 0.6, -th * 0.5 - wr * 0.5, -td * 0.8],
-      [-tw * 0.6, -th * 0.5 - wr * 0.5, -td * 0.8]
-    ];
-    positions.forEach(pos => {
-      const wheel = new THREE.Group();
-      TrackGenerators.wheel(wheel, wr, ww, c1, rng, tess, showSolid);
-      wheel.position.set(...pos);
-      robot.add(wheel);
-    });
-  } else if (locoType === 'hover') {
-    const hovSize = 0.5 * scale;
-    const positions = [
-      [tw * 0.35, -th * 0.5 - 0.15, td * 0.5],
-      [-tw * 0.35, -th * 0.5 - 0.15, td * 0.5],
-      [tw * 0.35, -th * 0.5 - 0.15, -td * 0.5],
-      [-tw * 0.35, -th * 0.5 - 0.15, -td * 0.5]
-    ];
-    positions.forEach(pos => {
-      const hover = new THREE.Group();
-      TrackGenerators.hover(hover, hovSize, c1, rng, tess, showSolid);
-      hover.position.set(...pos);
-      robot.add(hover);
-    });
-  }
-  
-  // Accessories
-  const et = tess.edgeThreshold;
-  if (rng.chance(0.4)) {
-    const antenna = new THREE.Group();
-    const ah = rng.range(0.3, 0.6);
-    addToGroup(antenna, createGeo.cylinder(0.02, 0.015, ah, tess), c2, [0, ah/2, 0], [0,0,0], [1,1,1], et, showSolid);
-    addToGroup(antenna, createGeo.sphere(0.04, tess), c2, [0, ah + 0.04, 0], [0,0,0], [1,1,1], et, showSolid);
-    antenna.position.set(rng.range(-0.2, 0.2), th * 0.5 + hs * 0.8, 0);
-    robot.add(antenna);
-  }
-  
-  if (rng.chance(0.35)) {
-    const backpack = new THREE.Group();
-    const bw = tw * 0.6, bh = th * 0.5, bd = 0.25 * scale;
-    addToGroup(backpack, createGeo.box(bw, bh, bd, tess), c1, [0,0,0], [0,0,0], [1,1,1], et, showSolid);
-    addToGroup(backpack, createGeo.box(bw * 0.3, bh * 0.15, bd * 0.3, tess), c2, [bw * 0.25, bh * 0.3, bd * 0.4], [0,0,0], [1,1,1], et, showSolid);
-    addToGroup(backpack, createGeo.box(bw * 0.3, bh * 0.15, bd * 0.3, tess), c2, [-bw * 0.25, bh * 0.3, bd * 0.4], [0,0,0], [1,1,1], et, showSolid);
-    backpack.position.set(0, 0, -td * 0.5 - bd * 0.5 - 0.05);
-    robot.add(backpack);
+// The viewer state lives in the query string so links and reloads restore it:
+//   ?seed=robot-001&catalog=1.3&detail=2&solid=1&palette=military&grid=5x4&page=2
+//    &cam=0.40,0.30,14.00&sel=robot-001-3&edits={"robot-001-3":{"head":"dome"}}
+// (`scroll=1` instead of `page` for the endless gallery, `hidden=remove`,
+// `dim` or `dash` for the hidden-line render mode).
+// Defaults are left out, except the catalog version: a link keeps showing
+// the same robots when the default moves on. Links from before versions
+// existed (a seed but no catalog) are read as 1.3. Breed mode, and edits
+// to bred robots, are not part of the URL.
+const DEFAULT_SEED = 'robot-001';
+const UNVERSIONED_CATALOG = '1.3';
+const DEFAULT_CAMERA = { rotY: 0, rotX: 0.3, zoom: 18 };
+const clamp = (v, min, max) => Math.min(max, Math.max(min, v));
+
+function readViewState(search) {
+  const params = new URLSearchParams(search);
+  const detail = parseInt(params.get('detail'));
+  const page = parseInt(params.get('page'));
+  const [cols, rows] = (params.get('grid') || '').split('x').map((n) => parseInt(n));
+  const [rotY, rotX, zoom] = (params.get('cam') || '').split(',').map(parseFloat);
+  const seed = params.get('seed') || DEFAULT_SEED;
+  const theme = PaletteThemes[params.get('palette')] ? params.get('palette') : '';
+  const version = params.get('catalog') || (params.has('seed') ? UNVERSIONED_CATALOG : CATALOG_VERSION);
+  const catalog = CATALOG_VERSIONS[version] ? version : CATALOG_VERSION;
+
+  // Edits that no longer apply (e.g. hand-written links) are dropped
+  let edits = {};
+  try {
+    edits = JSON.parse(params.get('edits') || '{}');
+  } catch (err) {
+    edits = {};
   }
-  
-  return robot;
+  Object.keys(edits).forEach((key) => {
+    try {
+      applyRobotOverrides(gallerySpec(key, theme, catalog), edits[key]);
+    } catch (err) {
+      delete edits[key];
+    }
+  });
+
+  return {
+    seed,
+    detail: detail >= 0 && detail <= 3 ? detail : 0,
+    showSolid: params.get('solid') === '1',
+    hiddenLines: HIDDEN_LINE_STYLES.includes(params.get('hidden')) ? params.get('hidden') : '',
+    theme,
+    catalog,
+    grid: cols >= 1 && rows >= 1 ? { cols: Math.min(cols, GRID_MAX), rows: Math.min(rows, GRID_MAX) } : { ...GRID },
+    page: page > 0 ? page : 0,
+    scrolling: params.get('scroll') === '1',
+    camera: [rotY, rotX, zoom].every(Number.isFinite)
+      ? { rotY, rotX: clamp(rotX, -Math.PI / 3, Math.PI / 3), zoom: clamp(zoom, 8, 35) }
+      : DEFAULT_CAMERA,
+    selectedSeed: params.get('sel') || null,
+    edits,
+  };
+}
+
+function viewStateQuery({ seed, catalog, detail, showSolid, hiddenLines, theme, grid, page, scrolling, camera, selectedSeed, edits }) {
+  const params = new URLSearchParams({ seed, catalog });
+  if (detail) params.set('detail', detail);
+  if (showSolid) params.set('solid', '1');
+  if (hiddenLines) params.set('hidden', hiddenLines);
+  if (theme) params.set('palette', theme);
+  if (grid.cols !== GRID.cols || grid.rows !== GRID.rows) params.set('grid', `${grid.cols}x${grid.rows}`);
+  if (scrolling) params.set('scroll', '1');
+  else if (page) params.set('page', page);
+  params.set('cam', [camera.rotY, camera.rotX, camera.zoom].map((v) => v.toFixed(2)).join(','));
+  if (selectedSeed) params.set('sel', selectedSeed);
+  if (Object.keys(edits).length) params.set('edits', JSON.stringify(edits));
+  return `?${params}`;
 }
 
 // ============================================================================
@@ -703,17 +243,109 @@ function generateRobot(seed, detail = 1, showSolid = false) {
 // ============================================================================
 export default function WireframeRobotDemo() {
   const containerRef = useRef(null);
-  const [seed, setSeed] = useState('robot-001');
-  const [seedInput, setSeedInput] = useState('robot-001');
-  const [detail, setDetail] = useState(1);
-  const [showSolid, setShowSolid] = useState(false);
+  const [initialView] = useState(() => readViewState(window.location.search));
+  const [seed, setSeed] = useState(initialView.seed);
+  const [seedInput, setSeedInput] = useState(initialView.seed);
+  const [detail, setDetail] = useState(initialView.detail);
+  const [showSolid, setShowSolid] = useState(initialView.showSolid);
+  const [hiddenLines, setHiddenLines] = useState(initialView.hiddenLines);
+  const [theme, setTheme] = useState(initialView.theme);
+  const [catalog, setCatalog] = useState(initialView.catalog);
+  const [grid, setGrid] = useState(initialView.grid);
+  const [page, setPage] = useState(initialView.page);
+  const [scrolling, setScrolling] = useState(initialView.scrolling);
+  const [scrollRow, setScrollRow] = useState(0);
+  const [gaitSpeed, setGaitSpeed] = useState(0.6);
+  const [mode, setMode] = useState('gallery');
+  const [parents, setParents] = useState(null);
+  const [brood, setBrood] = useState(1);
+  const [mutation, setMutation] = useState(0.15);
+  const [selectedChild, setSelectedChild] = useState(0);
+  const [selectedSeed, setSelectedSeed] = useState(initialView.selectedSeed);
+  const [editing, setEditing] = useState(false);
+  const [edits, setEdits] = useState(initialView.edits);
+  
+  // Specs are memoized per catalog, theme and seed, and edited specs per base spec and edit, so
+  // a robot that stays on stage across pages, scrolling and edits elsewhere
+  // keeps its spec and is not rebuilt
+  const specMemo = useRef(new Map());
+  const specOf = (robotSeed) => {
+    const memo = specMemo.current;
+    const key = `${catalog}|${theme}|${robotSeed}`;
+    if (!memo.has(key)) {
+      if (memo.size >= SPEC_MEMO_SIZE) memo.clear();
+      memo.set(key, gallerySpec(robotSeed, theme, catalog));
+    }
+    return memo.get(key);
+  };
+  const editMemo = useRef(new WeakMap());
+  const editedSpec = (spec, overrides) => {
+    const memo = editMemo.current.get(spec);
+    if (memo && memo.overrides === overrides) return memo.spec;
+    const result = applyRobotOverrides(spec, overrides);
+    editMemo.current.set(spec, { overrides, spec: result });
+    return result;
+  };
+  const solveMemo = useRef(new WeakMap());
+  const solvedSpec = (spec) => {
+    if (!solveMemo.current.has(spec)) solveMemo.current.set(spec, solveRobotSpec(spec).spec);
+    return solveMemo.current.get(spec);
+  };
+  
+  // Specs and grid cells of everything on stage, then with the part editor's
+  // overrides (kept per seed) applied and solved onto the floor. Pages are `rows` rows each; scrolling
+  // builds the rows from scrollRow on, around the camera target, with rows
+  // 0 to rows - 1 centred like the first page.
+  const stage = useMemo(() => {
+    if (mode === 'breed' && parents) return breedEntries(parents, brood, mutation);
+    const center = (grid.rows - 1) / 2;
+    return scrolling
+      ? galleryEntries(seed, grid, scrollRow, grid.rows + 2 * SCROLL_BUFFER, center, specOf)
+      : galleryEntries(seed, grid, page * grid.rows, grid.rows, page * grid.rows + center, specOf);
+  }, [mode, seed, theme, catalog, grid, page, scrolling, scrollRow, parents, brood, mutation]);
+  // Bred robots can't be rebuilt from the URL, so their edits stay out of it
+  const sharedEdits = useMemo(() => {
+    const bred = new Set(stage.filter((entry) => entry.spec.lineage).map((entry) => entry.spec.seed));
+    return Object.fromEntries(Object.entries(edits).filter(([key]) => !bred.has(key)));
+  }, [stage, edits]);
+  const entries = useMemo(
+    () => stage.map((entry) => ({
+      ...entry,
+      spec: solvedSpec(edits[entry.spec.seed] ? editedSpec(entry.spec, edits[entry.spec.seed]) : entry.spec),
+    })),
+    [stage, edits]
+  );
+  // Spacing is kept between layouts of the same endless gallery
+  const layoutKey = mode === 'gallery' && scrolling ? `${seed}:${grid.cols}:${grid.rows}` : null;
+  const stageRef = useRef(null);
+  stageRef.current = { entries, layoutKey };
+  // Selection is a seed, so it clears itself when that robot leaves the stage
+  const selectedIndex = entries.findIndex((entry) => entry.spec.seed === selectedSeed);
+  const selected = selectedIndex >= 0 ? entries[selectedIndex].spec : null;
+  
+  // Exports and the inspector use HIGH detail when the stage is on AUTO
+  const exportDetail = detail || 3;
+  const inspection = useMemo(
+    () => (selected ? inspectRobot(selected, exportDetail) : null),
+    [selected, exportDetail]
+  );
   const stateRef = useRef({
     renderer: null,
     scene: null,
     robots: [],
+    controllers: [],
+    gaitSpeed: 0.6,
     animationId: null,
     camera: null,
-    controls: { rotY: 0, rotX: 0.3, zoom: 18, isDragging: false, prevX: 0, prevY: 0 }
+    selected: -1,
+    highlighted: null,
+    reconcile: null,
+    spacing: 0,
+    layoutKey: null,
+    controls: {
+      ...initialView.camera, zoomGoal: null, target: new THREE.Vector3(0, LOOK_HEIGHT, 0), pan: new THREE.Vector3(0, LOOK_HEIGHT, 0),
+      isDragging: false, isPanning: false, dragDistance: 0, prevX: 0, prevY: 0
+    }
   });
   
   // Sync seed input when seed changes externally
@@ -721,6 +353,42 @@ export default function WireframeRobotDemo() {
     setSeedInput(seed);
   }, [seed]);
   
+  // Mirror the viewer state into the URL: a new seed is a new history entry,
+  // anything else (camera included) updates the current one
+  const viewRef = useRef(null);
+  viewRef.current = { seed, catalog, detail, showSolid, hiddenLines, theme, grid, page, scrolling, scrollRow, mode, selectedSeed, edits: sharedEdits };
+  const syncURL = () => {
+    const { rotY, rotX, zoom } = stateRef.current.controls;
+    const query = viewStateQuery({ ...viewRef.current, camera: { rotY, rotX, zoom } });
+    if (query === window.location.search) return;
+    const shown = new URLSearchParams(window.location.search).get('seed');
+    const push = shown !== null && shown !== viewRef.current.seed;
+    window.history[push ? 'pushState' : 'replaceState'](null, '', `${query}${window.location.hash}`);
+  };
+  useEffect(syncURL, [seed, catalog, detail, showSolid, hiddenLines, theme, grid, page, scrolling, selectedSeed, sharedEdits]);
+  
+  // Back / forward restore the state stored in the URL
+  useEffect(() => {
+    const onPopState = () => {
+      const view = readViewState(window.location.search);
+      Object.assign(stateRef.current.controls, view.camera, { zoomGoal: null });
+      setSeed(view.seed);
+      setDetail(view.detail);
+      setShowSolid(view.showSolid);
+      setHiddenLines(view.hiddenLines);
+      setTheme(view.theme);
+      setCatalog(view.catalog);
+      setGrid(view.grid);
+      setPage(view.page);
+      setScrolling(view.scrolling);
+      setSelectedSeed(view.selectedSeed);
+      setEdits(view.edits);
+      setMode('gallery');
+    };
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
+  }, []);
+  
   useEffect(() => {
     const container = containerRef.current;
     if (!container) return;
@@ -762,71 +430,237 @@ export default function WireframeRobotDemo() {
     pointLight.position.set(0, 5, 0);
     scene.add(pointLight);
     
-    // Grid
-    const grid = new THREE.GridHelper(24, 24, 0x333333, 0x222222);
-    grid.position.y = -2.5;
-    scene.add(grid);
+    // Floor grid, kept under the camera target
+    const floor = new THREE.GridHelper(40, 40, 0x333333, 0x222222);
+    scene.add(floor);
     
-    // Generate robots
-    const cols = 4, rows = 3, spacing = 5;
+    // Robots share a cache and merge their primitives so a full gallery costs
+    // a few draw calls per robot. Browsing would grow one cache without bound,
+    // so past CACHE_LIMIT geometries new robots start a fresh one and the old
+    // one is disposed along with the last robot built from it.
     state.robots = [];
+    state.controllers = [];
+    const caches = new Map();
+    let cache = null;
+    const retire = (old) => {
+      if (old === cache || caches.get(old)) return;
+      old.dispose();
+      caches.delete(old);
+    };
+    const takeCache = () => {
+      if (!cache || cache.stats().geometries > CACHE_LIMIT) {
+        const previous = cache;
+        cache = createRobotCache();
+        caches.set(cache, 0);
+        if (previous) retire(previous);
+      }
+      caches.set(cache, caches.get(cache) + 1);
+      return cache;
+    };
     
-    for (let i = 0; i < cols * rows; i++) {
-      const x = (i % cols - (cols - 1) / 2) * spacing;
-      const z = (Math.floor(i / cols) - (rows - 1) / 2) * spacing;
-      const robotSeed = `${seed}-${i}`;
-      const robot = generateRobot(robotSeed, detail, showSolid);
-      robot.position.set(x, 0, z);
-      robot.userData = { bobOffset: i * 0.3, bobSpeed: 0.8 + i * 0.05 };
+    // Detail 0 (AUTO) gives every robot LOD variants picked by on-screen size
+    const buildRobot = (spec, i) => {
+      const robotCache = takeCache();
+      const robot = detail
+        ? buildRobotFromSpec(spec, { detail, solid: showSolid, cache: robotCache, merge: true, hiddenLines })
+        : buildRobotLOD(spec, { solid: showSolid, cache: robotCache, merge: true, hiddenLines });
+      Object.assign(robot.userData, { cache: robotCache, footprint: footprintOf(robot), bobOffset: i * 0.3, bobSpeed: 0.8 + i * 0.05 });
       scene.add(robot);
-      state.robots.push(robot);
-    }
+      return robot;
+    };
+    const disposeRobot = (robot) => {
+      robot.traverse(child => {
+        if (child.name.startsWith('merged:')) child.geometry.dispose();
+      });
+      const robotCache = robot.userData.cache;
+      caches.set(robotCache, caches.get(robotCache) - 1);
+      retire(robotCache);
+    };
+    
+    // Brings the stage in line with its entries: robots whose spec is still on
+    // stage are kept, the others disposed and the missing ones built. Spacing
+    // then fits the widest robot as it turns; in the endless gallery it only
+    // grows, so rows already shown stay put as new ones stream in.
+    state.reconcile = ({ entries, layoutKey }) => {
+      const kept = new Map();
+      state.robots.forEach((robot, i) => {
+        const { spec } = robot.userData;
+        kept.set(spec, [...(kept.get(spec) || []), i]);
+      });
+      const robots = [];
+      const controllers = [];
+      entries.forEach(({ spec }, i) => {
+        const reuse = kept.get(spec);
+        if (reuse && reuse.length) {
+          const j = reuse.shift();
+          robots.push(state.robots[j]);
+          controllers.push(state.controllers[j]);
+        } else {
+          const robot = buildRobot(spec, i);
+          robots.push(robot);
+          controllers.push(createLocomotionController(robot, { speed: state.gaitSpeed }));
+        }
+      });
+      kept.forEach((unused) => unused.forEach((j) => {
+        scene.remove(state.robots[j]);
+        disposeRobot(state.robots[j]);
+      }));
+      state.robots = robots;
+      state.controllers = controllers;
+      
+      const widest = Math.max(0, ...robots.map((robot) => robot.userData.footprint));
+      const grow = layoutKey !== null && layoutKey === state.layoutKey;
+      state.spacing = Math.max(grow ? state.spacing : 0, 2 * widest + GRID_GAP);
+      state.layoutKey = layoutKey;
+      robots.forEach((robot, i) => {
+        robot.position.x = entries[i].cell[0] * state.spacing;
+        robot.position.z = entries[i].cell[1] * state.spacing;
+      });
+    };
+    state.reconcile(stageRef.current);
     
     // Mouse controls
     const ctrl = state.controls;
     
-    const onMouseDown = (e) => { ctrl.isDragging = true; ctrl.prevX = e.clientX; ctrl.prevY = e.clientY; };
-    const onMouseUp = () => { ctrl.isDragging = false; };
+    // Drag orbits; shift- or right-drag pans, grabbing the floor
+    const onMouseDown = (e) => {
+      ctrl.isDragging = true;
+      ctrl.isPanning = e.shiftKey || e.button === 2;
+      ctrl.dragDistance = 0;
+      ctrl.prevX = e.clientX;
+      ctrl.prevY = e.clientY;
+    };
+    const onMouseUp = () => {
+      if (ctrl.isDragging && ctrl.dragDistance > 0) syncURL();
+      ctrl.isDragging = false;
+    };
     const onMouseMove = (e) => {
       if (!ctrl.isDragging) return;
-      ctrl.rotY += (e.clientX - ctrl.prevX) * 0.005;
-      ctrl.rotX += (e.clientY - ctrl.prevY) * 0.005;
-      ctrl.rotX = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, ctrl.rotX));
+      const dx = e.clientX - ctrl.prevX;
+      const dy = e.clientY - ctrl.prevY;
+      ctrl.dragDistance += Math.abs(dx) + Math.abs(dy);
+      if (ctrl.isPanning) {
+        // Panning leaves the selected robot, starting from where the camera is
+        if (state.selected >= 0) {
+          ctrl.pan.set(ctrl.target.x, LOOK_HEIGHT, ctrl.target.z);
+          setSelectedSeed(null);
+        }
+        const k = ctrl.zoom * 0.002;
+        const cos = Math.cos(ctrl.rotY);
+        const sin = Math.sin(ctrl.rotY);
+        ctrl.pan.x -= (dx * cos + dy * sin) * k;
+        ctrl.pan.z += (dx * sin - dy * cos) * k;
+      } else {
+        ctrl.rotY += dx * 0.005;
+        ctrl.rotX += dy * 0.005;
+        ctrl.rotX = Math.max(-Math.PI / 3, Math.min(Math.PI / 3, ctrl.rotX));
+      }
       ctrl.prevX = e.clientX;
       ctrl.prevY = e.clientY;
     };
+    let wheelTimer = null;
     const onWheel = (e) => {
+      ctrl.zoomGoal = null;
       ctrl.zoom += e.deltaY * 0.01;
       ctrl.zoom = Math.max(8, Math.min(35, ctrl.zoom));
+      clearTimeout(wheelTimer);
+      wheelTimer = setTimeout(syncURL, 300);
     };
     
+    // Click (not drag) to select: the nearest shown primitive under the
+    // pointer, else the nearest robot whose bounds the ray crosses
+    const raycaster = new THREE.Raycaster();
+    raycaster.params.Line.threshold = 0.05;
+    const pointer = new THREE.Vector2();
+    const isShown = (obj) => {
+      for (let o = obj; o; o = o.parent) if (!o.visible) return false;
+      return true;
+    };
+    const onClick = (e) => {
+      if (ctrl.dragDistance > 4) return;
+      const rect = canvas.getBoundingClientRect();
+      pointer.set(((e.clientX - rect.left) / rect.width) * 2 - 1, -((e.clientY - rect.top) / rect.height) * 2 + 1);
+      raycaster.setFromCamera(pointer, camera);
+      let index = -1;
+      const hit = raycaster.intersectObjects(state.robots, true).find((h) => isShown(h.object));
+      if (hit) {
+        for (let o = hit.object; o && index < 0; o = o.parent) index = state.robots.indexOf(o);
+      } else {
+        let nearest = Infinity;
+        const point = new THREE.Vector3();
+        state.robots.forEach((robot, i) => {
+          if (!raycaster.ray.intersectBox(new THREE.Box3().setFromObject(robot), point)) return;
+          const distance = point.distanceTo(raycaster.ray.origin);
+          if (distance < nearest) { nearest = distance; index = i; }
+        });
+      }
+      if (index >= 0) ctrl.zoomGoal = Math.min(ctrl.zoom, 10);
+      setSelectedSeed(index >= 0 ? state.robots[index].userData.spec.seed : null);
+    };
+    
+    const onContextMenu = (e) => e.preventDefault();
+    
     const canvas = renderer.domElement;
+    canvas.addEventListener('click', onClick);
     canvas.addEventListener('mousedown', onMouseDown);
     canvas.addEventListener('mouseup', onMouseUp);
     canvas.addEventListener('mouseleave', onMouseUp);
     canvas.addEventListener('mousemove', onMouseMove);
     canvas.addEventListener('wheel', onWheel);
+    canvas.addEventListener('contextmenu', onContextMenu);
     
     // Animation loop
     let isRunning = true;
+    let lastTime = 0;
+    const aim = new THREE.Vector3();
     const animate = (time) => {
       if (!isRunning) return;
       state.animationId = requestAnimationFrame(animate);
       
       const t = time * 0.001;
+      const dt = Math.min(0.1, t - lastTime);
+      lastTime = t;
       
-      // Update camera
-      camera.position.x = Math.sin(ctrl.rotY) * Math.cos(ctrl.rotX) * ctrl.zoom;
-      camera.position.y = Math.sin(ctrl.rotX) * ctrl.zoom + 3;
-      camera.position.z = Math.cos(ctrl.rotY) * Math.cos(ctrl.rotX) * ctrl.zoom;
-      camera.lookAt(0, 0, 0);
+      // Update camera, easing the orbit toward the selected robot
+      const focus = state.robots[state.selected];
+      const ease = Math.min(1, dt * 4);
+      ctrl.target.lerp(focus ? aim.copy(focus.position).setY(LOOK_HEIGHT) : ctrl.pan, ease);
+      if (ctrl.zoomGoal !== null) ctrl.zoom += (ctrl.zoomGoal - ctrl.zoom) * ease;
+      camera.position.x = ctrl.target.x + Math.sin(ctrl.rotY) * Math.cos(ctrl.rotX) * ctrl.zoom;
+      camera.position.y = ctrl.target.y + Math.sin(ctrl.rotX) * ctrl.zoom + 3;
+      camera.position.z = ctrl.target.z + Math.cos(ctrl.rotY) * Math.cos(ctrl.rotX) * ctrl.zoom;
+      camera.lookAt(ctrl.target);
+      floor.position.x = Math.round(ctrl.target.x);
+      floor.position.z = Math.round(ctrl.target.z);
+      
+      // The endless gallery streams in the rows around the camera target
+      const view = viewRef.current;
+      if (view.scrolling && view.mode === 'gallery') {
+        const first = Math.max(0, Math.round(ctrl.target.z / state.spacing) - SCROLL_BUFFER);
+        if (first !== view.scrollRow) setScrollRow(first);
+      }
       
-      // Animate robots
+      // Animate robots; only hover robots bob, the rest stay on the floor
       state.robots.forEach((robot) => {
-        const { bobOffset, bobSpeed } = robot.userData;
-        robot.position.y = Math.sin(t * bobSpeed + bobOffset) * 0.08;
+        const { bobOffset, bobSpeed, spec } = robot.userData;
+        if (spec.locomotion === 'hover') robot.position.y = Math.sin(t * bobSpeed + bobOffset) * 0.08;
         robot.rotation.y += 0.002;
       });
+      if (!detail) {
+        state.robots.forEach((robot) => updateRobotLOD(robot, camera, canvas.clientHeight));
+      }
+      state.controllers.forEach((controller) => {
+        controller.speed = state.gaitSpeed;
+        controller.update(dt);
+      });
+      
+      // Keep the highlight on the selected robot (and its current LOD variant)
+      const shown = focus && (focus.userData.lod ? focus.userData.lod.current : focus);
+      if (shown !== state.highlighted) {
+        if (state.highlighted) setHighlight(state.highlighted, false);
+        if (shown) setHighlight(shown, true);
+        state.highlighted = shown || null;
+      }
       
       renderer.render(scene, camera);
     };
@@ -850,40 +684,80 @@ export default function WireframeRobotDemo() {
         cancelAnimationFrame(state.animationId);
       }
       window.removeEventListener('resize', onResize);
+      clearTimeout(wheelTimer);
+      canvas.removeEventListener('click', onClick);
       canvas.removeEventListener('mousedown', onMouseDown);
       canvas.removeEventListener('mouseup', onMouseUp);
       canvas.removeEventListener('mouseleave', onMouseUp);
       canvas.removeEventListener('mousemove', onMouseMove);
       canvas.removeEventListener('wheel', onWheel);
+      canvas.removeEventListener('contextmenu', onContextMenu);
       
       // Safe DOM removal
       if (canvas.parentNode) {
         canvas.parentNode.removeChild(canvas);
       }
       
-      // Dispose Three.js resources
-      state.robots.forEach(robot => {
-        robot.traverse(child => {
-          if (child.geometry) child.geometry.dispose();
-          if (child.material) child.material.dispose();
-        });
-      });
+      // Dispose Three.js resources: merged geometries are per robot, the
+      // rest (materials included) belongs to the caches
+      state.robots.forEach(disposeRobot);
+      caches.forEach((_, robotCache) => robotCache.dispose());
       renderer.dispose();
       
       // Clear refs
       state.renderer = null;
       state.scene = null;
       state.robots = [];
+      state.controllers = [];
+      state.highlighted = null;
+      state.reconcile = null;
     };
-  }, [seed, detail, showSolid]);
+  }, [detail, showSolid, hiddenLines]);
+  
+  // Paging, scrolling and part edits only build the robots new to the stage
+  useEffect(() => {
+    if (stateRef.current.reconcile) stateRef.current.reconcile(stageRef.current);
+  }, [entries, layoutKey]);
+  
+  // Selection is read by the running animation loop; clicking a child in breed
+  // mode also picks it for SET AS A/B
+  useEffect(() => {
+    stateRef.current.selected = selectedIndex;
+    if (mode === 'breed' && selectedIndex >= 0 && selectedIndex < BROOD_SIZE) setSelectedChild(selectedIndex);
+  }, [selectedIndex, mode]);
+  
+  // Gait speed is read by the running animation loop; no scene rebuild needed
+  useEffect(() => {
+    stateRef.current.gaitSpeed = gaitSpeed;
+  }, [gaitSpeed]);
+  
+  // Wireframe, solid, or hidden-line (visible edges only, back edges styled)
+  const setRenderMode = (solid, hidden) => {
+    setShowSolid(solid);
+    setHiddenLines(hidden);
+  };
+  
+  // A new seed family starts on its first page, back at the origin
+  const showSeed = (next) => {
+    setSeed(next);
+    setPage(0);
+    stateRef.current.controls.pan.set(0, LOOK_HEIGHT, 0);
+  };
   
   const regenerate = () => {
-    setSeed(`robot-${Date.now()}`);
+    showSeed(`robot-${Date.now()}`);
   };
   
   const applySeed = () => {
-    setSeed(seedInput);
+    showSeed(seedInput);
+  };
+  
+  // Resizing the grid keeps the page holding its first robot
+  const resizeGrid = (next) => {
+    setPage(Math.floor((page * grid.cols * grid.rows) / (next.cols * next.rows)));
+    setGrid(next);
   };
+  const pageFirst = page * grid.cols * grid.rows;
   
   const handleSeedKeyDown = (e) => {
     if (e.key === 'Enter') {
@@ -891,7 +765,92 @@ export default function WireframeRobotDemo() {
     }
   };
   
-  const detailLabels = ['LOW', 'MED', 'HIGH'];
+  const download = (blob, filename) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  };
+  
+  // Rebuild the stage at rest pose so exports don't capture mid-stride animation
+  const exportGLB = () => {
+    const placed = stateRef.current.robots;
+    const robots = entries.map(({ spec }, i) => {
+      const robot = buildRobotFromSpec(spec, { detail: exportDetail, solid: showSolid });
+      robot.position.set(placed[i].position.x, 0, placed[i].position.z);
+      return robot;
+    });
+    download(new Blob([exportRobotGLB(robots)], { type: 'model/gltf-binary' }), `${seed}.glb`);
+  };
+  
+  // STL and blueprint take the selected robot, or the first on stage when
+  // none is selected; printing always needs the solid shells
+  const exportedSpec = () => selected || entries[0].spec;
+  const exportSTL = () => {
+    const spec = exportedSpec();
+    const robot = buildRobotFromSpec(spec, { detail: exportDetail, solid: true });
+    download(new Blob([exportRobotSTL(robot, { height: 80 })], { type: 'model/stl' }), `${spec.seed}.stl`);
+  };
+  
+  const exportBlueprint = () => {
+    const spec = exportedSpec();
+    const robot = buildRobotFromSpec(spec, { detail: exportDetail, solid: showSolid });
+    download(new Blob([exportRobotBlueprint(robot)], { type: 'image/svg+xml' }), `${spec.seed}.svg`);
+  };
+  
+  // Part editor: edits are overrides on top of the selected robot's seed
+  const genome = selected ? genomeFromSpec(selected) : null;
+  const edit = (patch) => setEdits({ ...edits, [selectedSeed]: mergeRobotOverrides(edits[selectedSeed], patch) });
+  const resetEdits = () => {
+    const next = { ...edits };
+    delete next[selectedSeed];
+    setEdits(next);
+  };
+  const editArm = (side, type) => {
+    const sides = {};
+    genome.arms.forEach((arm) => { sides[arm.side] = sides[arm.side] || arm.type; });
+    edit({ arms: { ...sides, [side]: type } });
+  };
+  const armType = (side) => {
+    const arm = genome.arms.find((a) => a.side === side);
+    return arm ? arm.type : '';
+  };
+  const accessoryType = (slot) => (genome[slot] ? genome[slot].type || slot : '');
+  const copyEdit = () => {
+    const shared = { seed: selected.seed, overrides: selected.overrides || {} };
+    if (navigator.clipboard) navigator.clipboard.writeText(JSON.stringify(shared));
+  };
+  
+  // Breeding starts from the first two robots of the gallery
+  const startBreeding = () => {
+    if (!parents) setParents([specOf(`${seed}-0`), specOf(`${seed}-1`)]);
+    setMode('breed');
+  };
+  
+  // Bred robots leave the stage with their brood, and their edits go with them
+  const dropBredEdits = () => setEdits(sharedEdits);
+  
+  const nextBrood = () => {
+    dropBredEdits();
+    setBrood(brood + 1);
+  };
+  
+  const promoteChild = (slot) => {
+    const next = [...parents];
+    next[slot] = entries[selectedChild].spec;
+    setParents(next);
+    nextBrood();
+  };
+  
+  const showGallery = () => {
+    dropBredEdits();
+    setMode('gallery');
+  };
+  
+  const shortSeed = (text) => (text.length > 24 ? `…${text.slice(-23)}` : text);
+  
+  const detailLabels = ['AUTO', 'LOW', 'MED', 'HIGH'];
   
   const inputStyle = {
     background: 'rgba(0,255,170,0.1)',
@@ -919,6 +878,12 @@ export default function WireframeRobotDemo() {
     transition: 'all 0.2s ease'
   };
   
+  const selectStyle = { ...inputStyle, padding: '3px 6px', fontSize: 11 };
+  
+  const editLabelStyle = { opacity: 0.6, fontSize: 10, letterSpacing: '0.1em' };
+  
+  const colorInputStyle = { width: 32, height: 22, padding: 0, border: '1px solid rgba(0,255,170,0.4)', background: 'transparent', cursor: 'pointer' };
+  
   const toggleStyle = (active) => ({
     background: active ? '#00ffaa' : 'transparent',
     border: '1px solid #00ffaa',
@@ -935,7 +900,12 @@ export default function WireframeRobotDemo() {
   
   return (
     <div style={{ width: '100%', height: '100vh', background: '#0a0a0f', position: 'relative', overflow: 'hidden' }}>
-      <div ref={containerRef} style={{ width: '100%', height: '100%' }} />
+      <div
+        ref={containerRef}
+        role="img"
+        aria-label={inspection ? inspection.identity.description : 'Gallery of procedurally generated wireframe robots'}
+        style={{ width: '100%', height: '100%' }}
+      />
       
       {/* UI Panel */}
       <div style={{
@@ -957,6 +927,133 @@ export default function WireframeRobotDemo() {
           WIREFRAME ROBOTS
         </div>
         
+        {/* Mode Toggle */}
+        <div style={{ display: 'flex', gap: 4, marginBottom: 12 }}>
+          <button onClick={showGallery} style={toggleStyle(mode === 'gallery')}>
+            GALLERY
+          </button>
+          <button onClick={startBreeding} style={toggleStyle(mode === 'breed')}>
+            BREED
+          </button>
+        </div>
+        
+        {mode === 'gallery' && (
+          <div style={{ marginBottom: 12 }}>
+            <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
+              GRID {grid.cols} × {grid.rows}
+            </label>
+            {['cols', 'rows'].map((key) => (
+              <div key={key} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 4 }}>
+                <span style={{ ...editLabelStyle, minWidth: 36 }}>{key.toUpperCase()}</span>
+                <input
+                  type="range"
+                  min="1"
+                  max={GRID_MAX}
+                  value={grid[key]}
+                  onChange={(e) => resizeGrid({ ...grid, [key]: parseInt(e.target.value) })}
+                  style={{
+                    flex: 1,
+                    accentColor: '#00ffaa',
+                    cursor: 'pointer'
+                  }}
+                />
+              </div>
+            ))}
+            <div style={{ display: 'flex', gap: 4, marginTop: 8, marginBottom: 6 }}>
+              <button onClick={() => setScrolling(false)} style={toggleStyle(!scrolling)}>
+                PAGES
+              </button>
+              <button onClick={() => setScrolling(true)} style={toggleStyle(scrolling)}>
+                SCROLL
+              </button>
+            </div>
+            {scrolling ? (
+              <div style={{ opacity: 0.6, fontSize: 10, lineHeight: 1.5 }}>
+                #{scrollRow * grid.cols}–{(scrollRow + grid.rows + 2 * SCROLL_BUFFER) * grid.cols - 1} loaded<br/>
+                Shift-drag to scroll
+              </div>
+            ) : (
+              <div style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                <button onClick={() => setPage(page - 1)} disabled={!page} style={{ ...toggleStyle(false), flex: 'none', opacity: page ? 1 : 0.4 }}>
+                  ‹ PREV
+                </button>
+                <span style={{ flex: 1, textAlign: 'center', fontSize: 10 }}>
+                  #{pageFirst}–{pageFirst + grid.cols * grid.rows - 1}
+                </span>
+                <button onClick={() => setPage(page + 1)} style={{ ...toggleStyle(false), flex: 'none' }}>
+                  NEXT ›
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+        
+        {mode === 'breed' && parents && (
+          <div style={{ marginBottom: 12 }}>
+            <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
+              PARENTS (BACK ROW)
+            </label>
+            <div style={{ fontSize: 10, lineHeight: 1.6, marginBottom: 8, wordBreak: 'break-all' }}>
+              A: {shortSeed(parents[0].seed)}<br/>
+              B: {shortSeed(parents[1].seed)}
+            </div>
+            
+            <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
+              MUTATION
+            </label>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={mutation}
+                onChange={(e) => setMutation(parseFloat(e.target.value))}
+                style={{
+                  flex: 1,
+                  accentColor: '#00ffaa',
+                  cursor: 'pointer'
+                }}
+              />
+              <span style={{ 
+                minWidth: 40, 
+                textAlign: 'right', 
+                fontSize: 11,
+                opacity: 0.8
+              }}>
+                {mutation.toFixed(2)}
+              </span>
+            </div>
+            
+            <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
+              CHILD (FRONT ROWS, LEFT TO RIGHT)
+            </label>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: 4, marginBottom: 6 }}>
+              {Array.from({ length: BROOD_SIZE }, (_, i) => (
+                <button key={i} onClick={() => setSelectedChild(i)} style={toggleStyle(selectedChild === i)}>
+                  {i + 1}
+                </button>
+              ))}
+            </div>
+            <div style={{ display: 'flex', gap: 4, marginBottom: 6 }}>
+              <button onClick={() => promoteChild(0)} style={toggleStyle(false)}>
+                SET AS A
+              </button>
+              <button onClick={() => promoteChild(1)} style={toggleStyle(false)}>
+                SET AS B
+              </button>
+            </div>
+            <button 
+              onClick={nextBrood}
+              style={{ ...buttonStyle, width: '100%' }}
+              onMouseEnter={(e) => { e.target.style.background = '#00ffaa'; e.target.style.color = '#0a0a0f'; }}
+              onMouseLeave={(e) => { e.target.style.background = 'transparent'; e.target.style.color = '#00ffaa'; }}
+            >
+              NEW BROOD
+            </button>
+          </div>
+        )}
+        
         {/* Seed Input */}
         <div style={{ marginBottom: 12 }}>
           <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
@@ -990,7 +1087,7 @@ export default function WireframeRobotDemo() {
           <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
             <input
               type="range"
-              min="1"
+              min="0"
               max="3"
               value={detail}
               onChange={(e) => setDetail(parseInt(e.target.value))}
@@ -1006,11 +1103,62 @@ export default function WireframeRobotDemo() {
               fontSize: 11,
               opacity: 0.8
             }}>
-              {detailLabels[detail - 1]}
+              {detailLabels[detail]}
+            </span>
+          </div>
+        </div>
+        
+        {/* Gait Speed */}
+        <div style={{ marginBottom: 12 }}>
+          <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
+            GAIT SPEED
+          </label>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+            <input
+              type="range"
+              min="0"
+              max="2"
+              step="0.1"
+              value={gaitSpeed}
+              onChange={(e) => setGaitSpeed(parseFloat(e.target.value))}
+              style={{
+                flex: 1,
+                accentColor: '#00ffaa',
+                cursor: 'pointer'
+              }}
+            />
+            <span style={{ 
+              minWidth: 40, 
+              textAlign: 'right', 
+              fontSize: 11,
+              opacity: 0.8
+            }}>
+              {gaitSpeed.toFixed(1)}
             </span>
           </div>
         </div>
         
+        {/* Palette Theme */}
+        <div style={{ marginBottom: 12 }}>
+          <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
+            PALETTE
+          </label>
+          <select value={theme} onChange={(e) => setTheme(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+            <option value="">seed colors</option>
+            {Object.keys(PaletteThemes).map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        
+        {/* Catalog Version */}
+        <div style={{ marginBottom: 12 }}>
+          <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
+            CATALOG
+          </label>
+          <select value={catalog} onChange={(e) => setCatalog(e.target.value)} style={{ ...inputStyle, cursor: 'pointer' }}>
+            {Object.keys(CATALOG_VERSIONS).map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </div>
+        
         {/* Render Mode Toggle */}
         <div style={{ marginBottom: 14 }}>
           <label style={{ display: 'block', opacity: 0.6, marginBottom: 6, fontSize: 10, letterSpacing: '0.1em' }}>
@@ -1018,18 +1166,33 @@ export default function WireframeRobotDemo() {
           </label>
           <div style={{ display: 'flex', gap: 4 }}>
             <button
-              onClick={() => setShowSolid(false)}
-              style={toggleStyle(!showSolid)}
+              onClick={() => setRenderMode(false, '')}
+              style={toggleStyle(!showSolid && !hiddenLines)}
             >
               WIREFRAME
             </button>
             <button
-              onClick={() => setShowSolid(true)}
+              onClick={() => setRenderMode(true, '')}
               style={toggleStyle(showSolid)}
             >
               SOLID
             </button>
+            <button
+              onClick={() => setRenderMode(false, hiddenLines || 'dash')}
+              style={toggleStyle(!!hiddenLines)}
+            >
+              HIDDEN
+            </button>
           </div>
+          {hiddenLines && (
+            <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+              {HIDDEN_LINE_STYLES.map((style) => (
+                <button key={style} onClick={() => setHiddenLines(style)} style={toggleStyle(hiddenLines === style)}>
+                  {style.toUpperCase()}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
         
         {/* Regenerate Button */}
@@ -1042,13 +1205,237 @@ export default function WireframeRobotDemo() {
           RANDOMIZE
         </button>
         
+        {/* Export Button */}
+        <button 
+          onClick={exportGLB}
+          style={{ ...buttonStyle, width: '100%', marginTop: 6 }}
+          onMouseEnter={(e) => { e.target.style.background = '#00ffaa'; e.target.style.color = '#0a0a0f'; }}
+          onMouseLeave={(e) => { e.target.style.background = 'transparent'; e.target.style.color = '#00ffaa'; }}
+        >
+          EXPORT GLB
+        </button>
+        <button 
+          onClick={exportSTL}
+          style={{ ...buttonStyle, width: '100%', marginTop: 6 }}
+          onMouseEnter={(e) => { e.target.style.background = '#00ffaa'; e.target.style.color = '#0a0a0f'; }}
+          onMouseLeave={(e) => { e.target.style.background = 'transparent'; e.target.style.color = '#00ffaa'; }}
+        >
+          EXPORT STL
+        </button>
+        <button 
+          onClick={exportBlueprint}
+          style={{ ...buttonStyle, width: '100%', marginTop: 6 }}
+          onMouseEnter={(e) => { e.target.style.background = '#00ffaa'; e.target.style.color = '#0a0a0f'; }}
+          onMouseLeave={(e) => { e.target.style.background = 'transparent'; e.target.style.color = '#00ffaa'; }}
+        >
+          EXPORT BLUEPRINT
+        </button>
+        
         {/* Instructions */}
         <div style={{ opacity: 0.4, fontSize: 10, marginTop: 12, lineHeight: 1.5 }}>
-          Drag to rotate • Scroll to zoom<br/>
-          Same seed = same robots
+          Drag to rotate • Shift-drag to pan • Scroll to zoom<br/>
+          Click to inspect • Same seed = same robots
         </div>
       </div>
       
+      {/* Inspector */}
+      {inspection && (
+        <div style={{
+          position: 'absolute',
+          top: 20,
+          right: 20,
+          color: '#00ffaa',
+          fontFamily: 'JetBrains Mono, Monaco, Consolas, monospace',
+          fontSize: 11,
+          background: 'rgba(0,0,0,0.9)',
+          padding: '16px 20px',
+          borderRadius: 6,
+          border: '1px solid rgba(0,255,170,0.25)',
+          boxShadow: '0 4px 30px rgba(0,255,170,0.1)',
+          width: 240,
+          maxHeight: 'calc(100% - 90px)',
+          overflowY: 'auto'
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: 10 }}>
+            <span style={{ fontSize: 14, fontWeight: 600, letterSpacing: '0.05em' }}>INSPECTOR</span>
+            <button onClick={() => setSelectedSeed(null)} style={{ ...buttonStyle, padding: '2px 8px' }}>×</button>
+          </div>
+          
+          <div style={{ fontSize: 13, fontWeight: 600, marginBottom: 2 }}>{inspection.identity.designation}</div>
+          <div style={{ opacity: 0.6, fontSize: 10, marginBottom: 8 }}>
+            {inspection.identity.manufacturer} · {inspection.identity.serial}
+          </div>
+          <div style={{ opacity: 0.8, fontSize: 10, lineHeight: 1.5, marginBottom: 10 }}>{inspection.identity.description}</div>
+          
+          <label style={{ display: 'block', opacity: 0.6, marginBottom: 4, fontSize: 10, letterSpacing: '0.1em' }}>
+            SEED
+          </label>
+          <div style={{ display: 'flex', gap: 6, alignItems: 'center', marginBottom: 10 }}>
+            <span style={{ flex: 1, wordBreak: 'break-all', userSelect: 'text' }}>{selected.seed}</span>
+            <button
+              onClick={() => navigator.clipboard && navigator.clipboard.writeText(selected.seed)}
+              style={{ ...buttonStyle, padding: '4px 8px', fontSize: 10 }}
+            >
+              COPY
+            </button>
+          </div>
+          
+          <div style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', columnGap: 10, rowGap: 3, marginBottom: 10 }}>
+            {inspection.rows.map(([label, value]) => (
+              <React.Fragment key={label}>
+                <span style={{ opacity: 0.6, fontSize: 10, letterSpacing: '0.1em' }}>{label}</span>
+                <span style={{ textAlign: 'right' }}>{value}</span>
+              </React.Fragment>
+            ))}
+          </div>
+          
+          <div style={{ display: 'flex', gap: 4 }}>
+            {inspection.colors.map((color) => (
+              <span key={color} title={color} style={{ width: 18, height: 18, borderRadius: 3, background: color, border: '1px solid rgba(255,255,255,0.3)' }} />
+            ))}
+          </div>
+          <div style={{ opacity: 0.4, fontSize: 10, marginTop: 8 }}>
+            Size in m at rest; counts at {detailLabels[exportDetail]} detail
+          </div>
+          
+          {/* Stat card */}
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', marginTop: 12, marginBottom: 6 }}>
+            <span style={{ opacity: 0.6, fontSize: 10, letterSpacing: '0.1em' }}>STATS</span>
+            <span style={{ fontWeight: 600, letterSpacing: '0.1em' }}>{inspection.stats.role.toUpperCase()}</span>
+          </div>
+          <div style={{ display: 'grid', gridTemplateColumns: '52px 1fr 40px', columnGap: 8, rowGap: 4, alignItems: 'center' }}>
+            {STAT_BARS.map(([key, label, full]) => (
+              <React.Fragment key={key}>
+                <span style={{ opacity: 0.6, fontSize: 10, letterSpacing: '0.1em' }}>{label}</span>
+                <div style={{ height: 6, background: 'rgba(0,255,170,0.12)', borderRadius: 2 }}>
+                  <div style={{ width: `${Math.min(100, (inspection.stats[key] / full) * 100)}%`, height: '100%', background: '#00ffaa', borderRadius: 2 }} />
+                </div>
+                <span style={{ textAlign: 'right' }}>{inspection.stats[key]}</span>
+              </React.Fragment>
+            ))}
+          </div>
+          <div style={{ opacity: 0.6, fontSize: 10, marginTop: 6 }}>
+            {inspection.stats.mass.toLocaleString()} kg
+            {Object.entries(inspection.stats.damage).map(([type, attack]) => ` · ${type} ${attack}`).join('')}
+          </div>
+          
+          {/* Part Editor */}
+          <button onClick={() => setEditing(!editing)} style={{ ...toggleStyle(editing), width: '100%', marginTop: 12 }}>
+            EDIT PARTS{selected.overrides ? ' •' : ''}
+          </button>
+          {editing && (
+            <div style={{ display: 'grid', gridTemplateColumns: '64px 1fr', columnGap: 8, rowGap: 6, alignItems: 'center', marginTop: 10 }}>
+              {['torso', 'head'].map((category) => (
+                <React.Fragment key={category}>
+                  <span style={editLabelStyle}>{category.toUpperCase()}</span>
+                  <select value={genome[category].type} onChange={(e) => edit({ [category]: e.target.value })} style={selectStyle}>
+                    {partTypes(category).map((type) => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </React.Fragment>
+              ))}
+              
+              <span style={editLabelStyle}>ARMS {genome.arms.length}</span>
+              <input
+                type="range"
+                min="0"
+                max={MAX_ARMS}
+                value={genome.arms.length}
+                onChange={(e) => edit({ armCount: parseInt(e.target.value) })}
+                style={{ accentColor: '#00ffaa', cursor: 'pointer' }}
+              />
+              {['left', 'right'].map((side) => (
+                <React.Fragment key={side}>
+                  <span style={editLabelStyle}>{side.toUpperCase()}</span>
+                  <select value={armType(side)} disabled={!armType(side)} onChange={(e) => editArm(side, e.target.value)} style={selectStyle}>
+                    {!armType(side) && <option value="">-</option>}
+                    {partTypes('arm').map((type) => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                </React.Fragment>
+              ))}
+              
+              <span style={editLabelStyle}>DRIVE</span>
+              <select value={genome.locomotion.type} onChange={(e) => edit({ locomotion: e.target.value, drive: undefined })} style={selectStyle}>
+                {Object.keys(LocomotionCatalog).map((type) => <option key={type} value={type}>{type}</option>)}
+              </select>
+              <span style={editLabelStyle}>{LocomotionCatalog[genome.locomotion.type].category.toUpperCase()}</span>
+              <select
+                value={genome.locomotion.part}
+                disabled={locomotionPartTypes(genome.locomotion.type).length < 2}
+                onChange={(e) => edit({ drive: e.target.value })}
+                style={selectStyle}
+              >
+                {locomotionPartTypes(genome.locomotion.type).map((type) => <option key={type} value={type}>{type}</option>)}
+              </select>
+              
+              <span style={editLabelStyle}>EXTRAS</span>
+              <div style={{ display: 'flex', gap: 4 }}>
+                {/* Mounts with registered accessory types get a picker instead of a toggle */}
+                {Object.entries(ACCESSORY_MOUNTS).map(([mount, slot]) => (accessoryTypes(mount).length > 1 ? (
+                  <select key={slot} value={accessoryType(slot)} onChange={(e) => edit({ [slot]: e.target.value || false })} style={selectStyle}>
+                    <option value="">no {slot}</option>
+                    {accessoryTypes(mount).map((type) => <option key={type} value={type}>{type}</option>)}
+                  </select>
+                ) : (
+                  <button key={slot} onClick={() => edit({ [slot]: !genome[slot] })} style={toggleStyle(!!genome[slot])}>
+                    {slot === 'backpack' ? 'PACK' : slot.toUpperCase()}
+                  </button>
+                )))}
+              </div>
+              
+              {[['scale', 'SCALE'], ...Object.entries(PROPORTIONS)].filter(([key]) => genome.dice[key] !== undefined).map(([key, label]) => (
+                <React.Fragment key={key}>
+                  <span style={editLabelStyle}>{label}</span>
+                  <input
+                    type="range"
+                    min="0.5"
+                    max="1.6"
+                    step="0.01"
+                    value={genome.dice[key]}
+                    onChange={(e) => {
+                      const value = parseFloat(e.target.value);
+                      edit(key === 'scale' ? { scale: value } : { dice: { [key]: value } });
+                    }}
+                    style={{ accentColor: '#00ffaa', cursor: 'pointer' }}
+                  />
+                </React.Fragment>
+              ))}
+              
+              <span style={editLabelStyle}>COLORS</span>
+              <div style={{ display: 'flex', gap: 6 }}>
+                {['primary', 'secondary'].map((key) => (
+                  <input
+                    key={key}
+                    type="color"
+                    title={key}
+                    value={genome.palette[key]}
+                    onChange={(e) => edit({ palette: { [key]: e.target.value } })}
+                    style={colorInputStyle}
+                  />
+                ))}
+              </div>
+              
+              {/* Role colors show what they fall back to until set */}
+              {Object.keys(PALETTE_ROLES).map((role) => (
+                <React.Fragment key={role}>
+                  <span style={editLabelStyle}>{role.toUpperCase()}{genome.palette[role] ? ' •' : ''}</span>
+                  <input
+                    type="color"
+                    value={paletteColor(genome.palette, role) || paletteColor(genome.palette, 'limb')}
+                    onChange={(e) => edit({ palette: { [role]: e.target.value } })}
+                    style={colorInputStyle}
+                  />
+                </React.Fragment>
+              ))}
+              
+              <div style={{ gridColumn: '1 / -1', display: 'flex', gap: 4, marginTop: 4 }}>
+                <button onClick={resetEdits} disabled={!selected.overrides} style={{ ...buttonStyle, flex: 1, padding: '6px 8px', fontSize: 10 }}>RESET</button>
+                <button onClick={copyEdit} style={{ ...buttonStyle, flex: 1, padding: '6px 8px', fontSize: 10 }}>COPY EDIT</button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+      
       {/* Stats */}
       <div style={{
         position: 'absolute',
@@ -1060,8 +1447,9 @@ export default function WireframeRobotDemo() {
         opacity: 0.5,
         textAlign: 'right'
       }}>
-        {showSolid ? 'SOLID + WIRE' : 'WIREFRAME'} | {detailLabels[detail - 1]}<br/>
-        SEED: {seed}
+        {showSolid ? 'SOLID + WIRE' : hiddenLines ? `HIDDEN LINE (${hiddenLines.toUpperCase()})` : 'WIREFRAME'} | {detailLabels[detail]}<br/>
+        {mode === 'breed' && parents ? `BROOD ${brood}: ${shortSeed(parents[0].seed)} × ${shortSeed(parents[1].seed)}` : `SEED: ${seed}${scrolling ? ' | SCROLL' : ` | PAGE ${page + 1}`}`}
+        {inspection && <><br/>{inspection.identity.designation} | {inspection.stats.role.toUpperCase()}</>}
       </div>
     </div>
   );
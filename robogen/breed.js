@@ -0,0 +1,188 @@
+import { createSeededRNG } from './rng.js';
+import { hslToHex, hexToHsl } from './color.js';
+import { LocomotionCatalog, pickWeighted, rollPartParams } from './catalog.js';
+import { DEFAULT_RANGES, ARM_SOCKETS, genomeFromSpec, specFromGenome } from './spec.js';
+import { PALETTE_ROLES, paletteColor } from './palette.js';
+import { catalogVersion, versionDriveTypes } from './versions.js';
+
+// ============================================================================
+// BREEDING (no Three.js dependency)
+// ============================================================================
+// Crossover and mutation work on genomes (see spec.js) and lay the result out
+// as a new spec, so children are plain JSON like any generated robot. Genes
+// are inherited in slots; each slot draws from its own RNG, keyed by the
+// parents' seeds, so forcing one slot never reshuffles the others.
+export const BREED_SLOTS = ['torso', 'head', 'arms', 'locomotion', 'accessories', 'palette'];
+
+// Dimension dice that travel with each slot
+const SLOT_DICE = {
+  torso: ['torsoWidth', 'torsoHeight', 'torsoDepth'],
+  head: ['headSize'],
+  arms: ['armLength', 'armThickness'],
+  locomotion: ['legLength', 'legThickness'],
+};
+
+const clone = (value) => (value == null ? value : JSON.parse(JSON.stringify(value)));
+const lerp = (a, b, t) => a + (b - a) * t;
+
+// Blend in HSL along the shorter way round the hue circle
+function mixColor(a, b, t) {
+  const [h1, s1, l1] = hexToHsl(a);
+  const [h2, s2, l2] = hexToHsl(b);
+  let dh = h2 - h1;
+  if (dh > 0.5) dh -= 1;
+  if (dh < -0.5) dh += 1;
+  return hslToHex(h1 + dh * t, lerp(s1, s2, t), lerp(l1, l2, t));
+}
+
+// Crosses two specs. Each slot comes whole from one parent (`pick` forces
+// 'a' or 'b' per slot, otherwise a coin flip); its dimensions and the palette
+// are blended up to halfway toward the other parent. The child keeps a's
+// catalog version.
+export function crossRobotSpecs(a, b, { seed = 0, pick = {} } = {}) {
+  Object.entries(pick).forEach(([slot, from]) => {
+    if (!BREED_SLOTS.includes(slot)) throw new Error(`Unknown breed slot: ${slot}`);
+    if (from !== 'a' && from !== 'b') throw new Error(`Breed slot ${slot} must come from 'a' or 'b'`);
+  });
+  const ga = genomeFromSpec(a), gb = genomeFromSpec(b);
+  const slotRNG = (slot) => createSeededRNG(`cross:${a.seed}:${b.seed}:${seed}:${slot}`);
+  const child = { catalog: ga.catalog, dice: { scale: lerp(ga.dice.scale, gb.dice.scale, slotRNG('scale').random()) } };
+
+  BREED_SLOTS.forEach((slot) => {
+    const rng = slotRNG(slot);
+    const coin = rng.chance();
+    const [main, other] = (pick[slot] || (coin ? 'a' : 'b')) === 'a' ? [ga, gb] : [gb, ga];
+    const t = rng.range(0, 0.5);
+
+    if (slot === 'accessories') {
+      child.antenna = clone(main.antenna);
+      child.backpack = clone(main.backpack);
+    } else if (slot === 'palette') {
+      // Role colors blend toward the color the other parent gives that role
+      child.palette = {};
+      Object.entries(main.palette).forEach(([key, color]) => {
+        const toward = key in PALETTE_ROLES ? paletteColor(other.palette, key) : other.palette[key];
+        child.palette[key] = toward ? mixColor(color, toward, t) : color;
+      });
+    } else {
+      child[slot] = clone(main[slot]);
+      SLOT_DICE[slot].forEach((key) => {
+        if (main.dice[key] === undefined) return;
+        child.dice[key] = other.dice[key] === undefined ? main.dice[key] : lerp(main.dice[key], other.dice[key], t);
+      });
+    }
+  });
+
+  const spec = specFromGenome(child, `${a.seed}+${b.seed}#${seed}`);
+  spec.lineage = { op: 'cross', parents: [a.seed, b.seed], seed: String(seed) };
+  return spec;
+}
+
+// Mutates a spec by `amount` (0 = unchanged, 1 = wild): dimensions drift
+// within their default ranges, and part types, params, locomotion,
+// accessories and colors are re-rolled with a probability that grows with it
+export function mutateRobotSpec(spec, { amount = 0.2, seed = 0 } = {}) {
+  if (!(amount >= 0 && amount <= 1)) throw new Error('Mutation amount must be between 0 and 1');
+  const genome = clone(genomeFromSpec(spec));
+  const version = catalogVersion(genome.catalog);
+  const slotRNG = (slot) => createSeededRNG(`mutate:${spec.seed}:${seed}:${slot}`);
+  const { dice } = genome;
+
+  // Never pushes a die further outside its default range than it already is
+  const drift = (key, rng) => {
+    const [min, max] = DEFAULT_RANGES[key];
+    const lo = Math.min(min, dice[key]), hi = Math.max(max, dice[key]);
+    dice[key] = Math.min(hi, Math.max(lo, dice[key] + rng.range(-1, 1) * amount * (max - min)));
+  };
+  const rollDie = (key, rng) => { dice[key] = rng.range(...DEFAULT_RANGES[key]); };
+  const reroll = (category, gene, rng, count, types) => {
+    gene.type = pickWeighted(rng, version.parts[category], types);
+    gene.params = count ? Array.from({ length: count }, () => rollPartParams(category, gene.type, rng)) : rollPartParams(category, gene.type, rng);
+  };
+
+  const sizeRNG = slotRNG('dice');
+  Object.keys(dice).forEach((key) => drift(key, sizeRNG));
+
+  ['torso', 'head'].forEach((category) => {
+    const rng = slotRNG(category);
+    if (rng.random() < amount * 0.3) reroll(category, genome[category], rng);
+    else if (rng.random() < amount * 0.5) genome[category].params = rollPartParams(category, genome[category].type, rng);
+  });
+
+  // Arms come and go as a pair; each side can change type on its own, and
+  // the lowest arm can be shed or a new one grown below
+  const armRNG = slotRNG('arms');
+  if (armRNG.random() < amount * 0.15) {
+    if (genome.arms.length) {
+      genome.arms = [];
+    } else {
+      const pair = {};
+      reroll('arm', pair, armRNG, 2);
+      genome.arms = ['left', 'right'].map((side, i) => ({ side, socket: 0, type: pair.type, params: pair.params[i] }));
+      SLOT_DICE.arms.forEach((key) => rollDie(key, armRNG));
+    }
+  } else if (genome.arms.length) {
+    ['left', 'right'].forEach((side) => {
+      if (armRNG.random() >= amount * 0.3) return;
+      const type = pickWeighted(armRNG, version.parts.arm);
+      genome.arms.forEach((arm) => {
+        if (arm.side === side) Object.assign(arm, { type, params: rollPartParams('arm', type, armRNG) });
+      });
+    });
+    if (armRNG.random() < amount * 0.1) {
+      const lowest = genome.arms.reduce((low, arm) => (arm.socket >= low.socket ? arm : low));
+      if (lowest.socket > 0 && armRNG.chance()) {
+        genome.arms = genome.arms.filter((arm) => arm !== lowest);
+      } else {
+        const free = ARM_SOCKETS.flatMap((_, socket) => ['left', 'right'].map((side) => ({ side, socket })))
+          .find(({ side, socket }) => !genome.arms.some((arm) => arm.side === side && arm.socket === socket));
+        const sibling = free && genome.arms.find((arm) => arm.side === free.side);
+        const type = sibling ? sibling.type : genome.arms[0].type;
+        if (free) genome.arms.push({ ...free, type, params: rollPartParams('arm', type, armRNG) });
+      }
+    }
+  }
+
+  const driveRNG = slotRNG('locomotion');
+  const drives = versionDriveTypes(version, genome.locomotion.type);
+  if (driveRNG.random() < amount * 0.15) {
+    const type = pickWeighted(driveRNG, version.locomotion);
+    const plan = LocomotionCatalog[type];
+    const part = version.locomotion[type].type || pickWeighted(driveRNG, version.parts[plan.category], versionDriveTypes(version, type));
+    genome.locomotion = {
+      type,
+      part,
+      params: Array.from({ length: plan.count }, () => rollPartParams(plan.category, part, driveRNG)),
+    };
+    SLOT_DICE.locomotion.forEach((key) => {
+      if (plan.category !== 'leg') delete dice[key];
+      else if (dice[key] === undefined) rollDie(key, driveRNG);
+    });
+  } else if (drives.length > 1 && driveRNG.random() < amount * 0.3) {
+    const gene = {};
+    reroll(LocomotionCatalog[genome.locomotion.type].category, gene, driveRNG, genome.locomotion.params.length, drives);
+    Object.assign(genome.locomotion, { part: gene.type, params: gene.params });
+  }
+
+  const accessoryRNG = slotRNG('accessories');
+  if (accessoryRNG.random() < amount * 0.2) {
+    genome.antenna = genome.antenna ? null : { height: accessoryRNG.range(0.3, 0.6), offset: accessoryRNG.range(-0.2, 0.2) };
+  }
+  if (accessoryRNG.random() < amount * 0.2) genome.backpack = !genome.backpack;
+
+  // All colors shift together so the palette stays related
+  if (amount > 0) {
+    const rng = slotRNG('palette');
+    const shift = rng.range(-1, 1) * amount * 0.3;
+    const ds = rng.range(-1, 1) * amount * 0.2;
+    const dl = rng.range(-1, 1) * amount * 0.1;
+    Object.keys(genome.palette).forEach((key) => {
+      const [h, s, l] = hexToHsl(genome.palette[key]);
+      genome.palette[key] = hslToHex(h + shift, s + ds, l + dl);
+    });
+  }
+
+  const child = specFromGenome(genome, `${spec.seed}~${seed}`);
+  child.lineage = { op: 'mutate', parents: [spec.seed], seed: String(seed), amount };
+  return child;
+}
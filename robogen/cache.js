@@ -0,0 +1,52 @@
+// ============================================================================
+// GEOMETRY & MATERIAL CACHE
+// ============================================================================
+// Robots built with a cache share their primitives: geometries are keyed by
+// primitive and parameters (sizes and tessellation), edge geometries by their
+// source and threshold, materials by color. Everything shared belongs to the
+// cache, so dispose the cache instead of the robots' geometries and materials.
+let active = null;
+
+export function createRobotCache() {
+  const geometries = new Map();
+  const materials = new Map();
+  let hits = 0;
+  const lookup = (map, key, build) => {
+    if (map.has(key)) {
+      hits++;
+      return map.get(key);
+    }
+    const value = build();
+    map.set(key, value);
+    return value;
+  };
+
+  return {
+    geometry: (key, build) => lookup(geometries, key, build),
+    material: (key, build) => lookup(materials, key, build),
+    stats: () => ({ geometries: geometries.size, materials: materials.size, hits }),
+    dispose() {
+      geometries.forEach((geometry) => geometry.dispose());
+      materials.forEach((material) => material.dispose());
+      geometries.clear();
+      materials.clear();
+      hits = 0;
+    },
+  };
+}
+
+// Builds run synchronously, so the cache for the current build is module state
+export function withRobotCache(cache, build) {
+  const previous = active;
+  active = cache || null;
+  try {
+    return build();
+  } finally {
+    active = previous;
+  }
+}
+
+// Shared geometry for `key` from the active cache, or a fresh one without
+export const cachedGeometry = (key, build) => (active ? active.geometry(key, build) : build());
+
+export const cachedMaterial = (key, build) => (active ? active.material(key, build) : build());
@@ -0,0 +1,143 @@
+// ============================================================================
+// PART CATALOG (no Three.js dependency)
+// ============================================================================
+// Every part type the generators know about, keyed by spec category. `roll`
+// draws the part's internal random choices so they can be stored in a spec
+// instead of being consumed while meshes are built. Limbs list their `joints`
+// as [y, z] pivots in units of (length, thickness), proximal to distal, and
+// legs may tune their walk cycle with `gait`. `role` overrides the palette
+// role the category gives the type (see palette.js), and `stats` is its
+// gameplay metadata (see stats.js). `rarity` (default common) and an optional
+// `weight` multiplier set how often a type is picked. Key order matters: it
+// is the order the weighted pick walks, so reordering, adding or
+// re-weighting entries changes existing seeds.
+
+// Selection weight per tier, and its rank when summarising a whole robot
+export const RARITY_TIERS = {
+  common: { weight: 1, rank: 0 },
+  rare: { weight: 0.2, rank: 1 },
+  legendary: { weight: 0.05, rank: 2 },
+};
+
+export const PartCatalog = {
+  head: {
+    cube: { roll: (rng) => ({ antennaHeight: rng.range(0.2, 0.5) }), stats: { sensor: 1, armor: 1.2 } },
+    dome: { roll: (rng) => ({ sensorCount: rng.int(2, 4) }), stats: { sensor: 1.2 } },
+    visor: { stats: { sensor: 1.1, armor: 1.1 } },
+    pyramid: { stats: { sensor: 0.9, armor: 1.3 } },
+    turret: { roll: (rng) => ({ barrelCount: rng.int(1, 3) }), stats: { sensor: 0.9, damage: 3, damageType: 'energy' } },
+    cluster: { stats: { sensor: 1.4 } },
+    cyclops: { rarity: 'rare', stats: { sensor: 1.5 } },
+    scanner: { roll: (rng) => ({ lensCount: rng.int(3, 5) }), stats: { sensor: 1.8, armor: 0.8 } },
+    insect: { rarity: 'rare', stats: { sensor: 1.4, armor: 0.9 } },
+    monitor: { stats: { sensor: 1.2, armor: 0.9 } },
+    horned: { rarity: 'legendary', stats: { sensor: 1, armor: 1.4, damage: 2, damageType: 'impact' } },
+  },
+  torso: {
+    box: { stats: { armor: 1 } },
+    hex: { stats: { armor: 1.1 } },
+    tapered: { stats: { armor: 0.9, mobility: 1.05 } },
+    segmented: { roll: (rng) => ({ segmentCount: rng.int(3, 5) }), stats: { armor: 1 } },
+    spheroid: { stats: { armor: 1.1 } },
+    industrial: { stats: { armor: 1.3, mobility: 0.95 } },
+    barrel: { stats: { armor: 1.2 } },
+    stealth: { rarity: 'rare', stats: { armor: 0.8, mobility: 1.1 } },
+    spinal: { rarity: 'legendary', roll: (rng) => ({ segmentCount: rng.int(4, 7) }), stats: { armor: 0.6, mobility: 1.15 } },
+    cage: { rarity: 'rare', roll: (rng) => ({ ribCount: rng.int(3, 5) }), stats: { armor: 0.5, mobility: 1.1 } },
+    plated: { stats: { armor: 1.5, mobility: 0.9 } },
+  },
+  arm: {
+    standard: { joints: { elbow: [-1, 0] }, stats: { damage: 2, damageType: 'impact' } },
+    armored: { joints: { elbow: [-1.05, 0] }, stats: { damage: 2, damageType: 'impact', armor: 1.5 } },
+    skeletal: { joints: { elbow: [-1, 0] }, stats: { damage: 1.5, damageType: 'impact', armor: 0.7 } },
+    hydraulic: { joints: { elbow: [-0.7, 0] }, stats: { damage: 3, damageType: 'impact', armor: 1.2 } },
+    tentacle: { rarity: 'legendary', roll: (rng) => ({ segmentCount: rng.int(5, 8) }), joints: { elbow: [-1, 0] }, stats: { damage: 2.5, damageType: 'impact', armor: 0.8 } },
+    claw: { role: 'weapon', joints: { elbow: [-1, 0] }, stats: { damage: 4, damageType: 'slash' } },
+    blade: { rarity: 'rare', role: 'weapon', joints: { elbow: [-1.05, 0] }, stats: { damage: 5, damageType: 'slash' } },
+    cannon: { role: 'weapon', joints: { elbow: [-0.7, 0] }, stats: { damage: 5, damageType: 'ballistic' } },
+    shield: { rarity: 'rare', joints: { elbow: [-0.9, 0] }, stats: { damage: 0.5, damageType: 'impact', armor: 3, mobility: 0.95 } },
+  },
+  leg: {
+    standard: { joints: { knee: [-1, 0], ankle: [-2, 0] }, stats: { mobility: 1 } },
+    digitigrade: { joints: { knee: [-0.75, 0.35], ankle: [-1.65, -0.4] }, gait: { reverseKnee: true, stride: 0.4, lift: 0.8 }, stats: { mobility: 1.25 } },
+    armored: { joints: { knee: [-1.1, 0], ankle: [-2.05, 0] }, gait: { stride: 0.35, lift: 0.6 }, stats: { mobility: 0.85, armor: 1.5 } },
+    piston: { joints: { knee: [-1.35, 0], ankle: [-2, 0] }, gait: { stride: 0.35, lift: 0.7 }, stats: { mobility: 1.05, armor: 1.2 } },
+    spider: { rarity: 'rare', joints: { knee: [-0.35, 0.55], ankle: [-1.25, 0.2] }, gait: { stride: 0.3, lift: 1.2 }, stats: { mobility: 1.15, armor: 0.8 } },
+    hooved: { rarity: 'legendary', joints: { knee: [-0.7, 0], ankle: [-1.7, 0] }, gait: { reverseKnee: true }, stats: { mobility: 1.3 } },
+    blocky: { joints: { knee: [-1, 0], ankle: [-1.9, 0] }, gait: { stride: 0.35, lift: 0.6 }, stats: { mobility: 0.8, armor: 1.6 } },
+    stilts: { rarity: 'rare', joints: { knee: [-1.35, 0], ankle: [-2.2, 0] }, gait: { stride: 0.22, lift: 0.4 }, stats: { mobility: 1.35, armor: 0.6 } },
+  },
+  track: {
+    tank: { roll: (rng) => ({ wheelCount: rng.int(3, 5) }), stats: { mobility: 0.9, armor: 1.6 } },
+    wheel: { roll: (rng) => ({ spokeCount: rng.int(4, 8) }), stats: { mobility: 1.2 } },
+    hover: { roll: (rng) => ({ ventCount: rng.int(4, 8) }), stats: { mobility: 1.1, armor: 0.6 } },
+    ball: { stats: { mobility: 1.1 } },
+    triwheel: { stats: { mobility: 1 } },
+  },
+  accessory: {
+    antenna: { mount: 'head', role: 'sensor', stats: { sensor: 0.4, armor: 0 } },
+    backpack: { mount: 'back', role: 'armor', stats: { armor: 1.2, mobility: 0.95 } },
+  },
+};
+
+// Locomotion is a plan, not a part, but is picked from the same kind of table.
+// Each plan places `count` parts of `category`, of a fixed `type` or one
+// picked from the category (limited to `types` when given). `stats.speed` is
+// the plan's base speed in units per second.
+export const LocomotionCatalog = {
+  bipedal: { weight: 3, category: 'leg', count: 2, stats: { speed: 2.5 } },
+  tracked: { category: 'track', type: 'tank', count: 2, stats: { speed: 2.5 } },
+  wheeled: { category: 'track', type: 'wheel', count: 4, stats: { speed: 4 } },
+  hover: { rarity: 'rare', category: 'track', type: 'hover', count: 4, stats: { speed: 4.5 } },
+  quadruped: { category: 'leg', count: 4, types: ['digitigrade', 'armored', 'piston', 'hooved', 'blocky'], stats: { speed: 3 } },
+  hexapod: { rarity: 'rare', category: 'leg', count: 6, types: ['standard', 'piston', 'spider'], stats: { speed: 2.5 } },
+  ball: { rarity: 'rare', category: 'track', type: 'ball', count: 1, stats: { speed: 3.5 } },
+  triwheel: { category: 'track', type: 'triwheel', count: 2, stats: { speed: 3.5 } },
+};
+
+export const partTypes = (category) => Object.keys(PartCatalog[category] || {});
+
+// Accessories sit on a mount: 'head' (the antenna slot, size [height]) or
+// 'back' (the backpack slot, size [w, h, d]). Each mount's part keeps its
+// slot id whatever its type, and the type named after the slot is the default.
+export const ACCESSORY_MOUNTS = { head: 'antenna', back: 'backpack' };
+
+export const accessoryTypes = (mount) => partTypes('accessory').filter((type) => PartCatalog.accessory[type].mount === mount);
+
+// Part types a locomotion plan can be built from
+export function locomotionPartTypes(locomotion) {
+  const plan = LocomotionCatalog[locomotion];
+  if (!plan) throw new Error(`Unknown locomotion type: ${locomotion}`);
+  return plan.type ? [plan.type] : plan.types || partTypes(plan.category);
+}
+
+export const rarityOf = (entry) => (entry && entry.rarity) || 'common';
+
+export const weightOf = (entry) => (entry.weight ?? 1) * RARITY_TIERS[rarityOf(entry)].weight;
+
+// Pick a key of `table`, limited to `types` (default: all), by entry weight
+export function pickWeighted(rng, table, types = Object.keys(table)) {
+  const weights = types.map((type) => weightOf(table[type]));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  const r = rng.random() * total;
+  let acc = 0;
+  for (let i = 0; i < types.length; i++) {
+    acc += weights[i];
+    if (r < acc) return types[i];
+  }
+  return types[types.length - 1];
+}
+
+// Robot rarity is the rarest tier among its picked parts and locomotion
+export function robotRarity(spec) {
+  const tiers = [
+    rarityOf(LocomotionCatalog[spec.locomotion]),
+    ...spec.parts.map((p) => rarityOf(PartCatalog[p.category] && PartCatalog[p.category][p.type])),
+  ];
+  return tiers.reduce((best, tier) => (RARITY_TIERS[tier].rank > RARITY_TIERS[best].rank ? tier : best), 'common');
+}
+
+export function rollPartParams(category, type, rng) {
+  const entry = PartCatalog[category] && PartCatalog[category][type];
+  return entry && entry.roll ? entry.roll(rng) : {};
+}
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { fileURLToPath } from 'node:url';
+import { generateRobotSpec } from './spec.js';
+import { PaletteThemes } from './palette.js';
+import { buildRobotFromSpec } from './generator.js';
+import { solveRobotSpec } from './solver.js';
+import { robotStats } from './stats.js';
+import { robotIdentity } from './identity.js';
+import { CATALOG_VERSION, CATALOG_VERSIONS, robotFingerprint, robotGeometryFingerprint } from './versions.js';
+import { exportRobotGLTF, exportRobotGLB } from './export/gltf.js';
+import { exportRobotSTL } from './export/print.js';
+import { exportRobotBlueprint } from './export/blueprint.js';
+
+// ============================================================================
+// BATCH CLI
+// ============================================================================
+// Generates robots headless (no DOM, no WebGL) and writes one file per robot
+// and format plus an index.json summary:
+//   node robogen/cli.js --prefix enemy --count 2000 --format json,glb --out dist/robots
+
+const USAGE = `Usage: node robogen/cli.js [seeds...] [options]
+
+Seeds (combine freely):
+  [seeds...]              Seeds given as arguments
+  --seeds-file <file>     One seed per line
+  --prefix <text>         Seeds <prefix>-<n> ...
+  --count <n>             ... for n = start .. start + count - 1 (default 12)
+  --start <n>             First number (default 0)
+
+Output:
+  --out <dir>             Output directory (default ./robots)
+  --format <list>         Comma separated: json, gltf, glb, svg, stl (default json)
+  --detail <1-3>          Tessellation level (default 1)
+  --solid                 Include solid faces in glTF/GLB output
+  --constraints <json>    Constraints object passed to generateRobotSpec
+  --palette <theme>       Palette theme (e.g. military, crimson); sets constraints.palette
+  --catalog <version>     Catalog version to pick parts from (default ${CATALOG_VERSION}); sets constraints.catalog
+  --ground                Solve attachments and stand each robot on y = 0
+  --quiet                 No progress output
+  --help`;
+
+// Each format writes from the spec or from a solid build of it
+const FORMATS = {
+  json: { ext: 'json', write: ({ spec }) => JSON.stringify(spec, null, 2) + '\n' },
+  gltf: { ext: 'gltf', write: ({ robot }) => JSON.stringify(exportRobotGLTF(robot)) },
+  glb: { ext: 'glb', write: ({ robot }) => exportRobotGLB(robot) },
+  svg: { ext: 'svg', write: ({ solidRobot }) => exportRobotBlueprint(solidRobot) },
+  stl: { ext: 'stl', write: ({ solidRobot }) => exportRobotSTL(solidRobot) },
+};
+
+function parseOptions(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      'seeds-file': { type: 'string' },
+      prefix: { type: 'string' },
+      count: { type: 'string' },
+      start: { type: 'string' },
+      out: { type: 'string', default: 'robots' },
+      format: { type: 'string', default: 'json' },
+      detail: { type: 'string', default: '1' },
+      solid: { type: 'boolean', default: false },
+      constraints: { type: 'string' },
+      palette: { type: 'string' },
+      catalog: { type: 'string' },
+      ground: { type: 'boolean', default: false },
+      quiet: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false },
+    },
+  });
+
+  const integer = (name, value, min) => {
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) throw new Error(`--${name} must be an integer >= ${min}`);
+    return n;
+  };
+
+  const seeds = [...positionals];
+  if (values['seeds-file']) {
+    seeds.push(...fs.readFileSync(values['seeds-file'], 'utf8').split(/\r?\n/).map((s) => s.trim()).filter(Boolean));
+  }
+  if (values.prefix !== undefined) {
+    const start = values.start === undefined ? 0 : integer('start', values.start, 0);
+    const count = values.count === undefined ? 12 : integer('count', values.count, 1);
+    for (let i = start; i < start + count; i++) seeds.push(`${values.prefix}-${i}`);
+  }
+
+  const formats = values.format.split(',').map((f) => f.trim().toLowerCase()).filter(Boolean);
+  formats.forEach((f) => {
+    if (!FORMATS[f]) throw new Error(`Unknown format: ${f} (expected ${Object.keys(FORMATS).join(', ')})`);
+  });
+
+  let constraints = {};
+  if (values.constraints) {
+    try {
+      constraints = JSON.parse(values.constraints);
+    } catch (err) {
+      throw new Error(`--constraints must be JSON: ${err.message}`);
+    }
+  }
+  if (values.palette !== undefined) {
+    if (!PaletteThemes[values.palette]) throw new Error(`--palette must be one of: ${Object.keys(PaletteThemes).join(', ')}`);
+    constraints = { ...constraints, palette: values.palette };
+  }
+  if (values.catalog !== undefined) {
+    if (!CATALOG_VERSIONS[values.catalog]) throw new Error(`--catalog must be one of: ${Object.keys(CATALOG_VERSIONS).join(', ')}`);
+    constraints = { ...constraints, catalog: values.catalog };
+  }
+
+  const detail = integer('detail', values.detail, 1);
+  if (detail > 3) throw new Error('--detail must be 1, 2 or 3');
+
+  return {
+    help: values.help,
+    seeds,
+    formats,
+    constraints,
+    detail,
+    out: values.out,
+    solid: values.solid,
+    ground: values.ground,
+    quiet: values.quiet,
+  };
+}
+
+// File names keep seeds readable; anything unsafe becomes '_'
+function fileNamer() {
+  const used = new Map();
+  return (seed) => {
+    const base = String(seed).replace(/[^a-z0-9._-]+/gi, '_').replace(/^\.+/, '_') || '_';
+    const n = used.get(base.toLowerCase()) || 0;
+    used.set(base.toLowerCase(), n + 1);
+    return n ? `${base}~${n}` : base;
+  };
+}
+
+function countGeometry(robot) {
+  const counts = { triangles: 0, lines: 0 };
+  robot.traverse((obj) => {
+    if (!obj.isMesh && !obj.isLineSegments) return;
+    const { index, attributes } = obj.geometry;
+    const count = index ? index.count : attributes.position.count;
+    if (obj.isMesh) counts.triangles += count / 3;
+    else counts.lines += count / 2;
+  });
+  return counts;
+}
+
+export function runBatch({ seeds, formats, constraints = {}, detail = 1, solid = false, ground = false, out, log = () => {} }) {
+  fs.mkdirSync(out, { recursive: true });
+  const nameOf = fileNamer();
+  const robots = [];
+  const totals = { rarity: {}, locomotion: {}, role: {}, parts: {} };
+  const tally = (table, key) => { table[key] = (table[key] || 0) + 1; };
+
+  seeds.forEach((seed, i) => {
+    const generated = generateRobotSpec(seed, constraints);
+    const solved = ground ? solveRobotSpec(generated) : null;
+    const spec = solved ? solved.spec : generated;
+    const solidRobot = buildRobotFromSpec(spec, { detail, solid: true });
+    const robot = solid ? solidRobot : buildRobotFromSpec(spec, { detail, solid: false });
+    const name = nameOf(seed);
+    const files = formats.map((format) => {
+      const file = `${name}.${FORMATS[format].ext}`;
+      fs.writeFileSync(path.join(out, file), FORMATS[format].write({ spec, robot, solidRobot }));
+      return file;
+    });
+
+    const parts = {};
+    spec.parts.forEach((p) => {
+      parts[p.id] = p.type;
+      tally(totals.parts, `${p.category}:${p.type}`);
+    });
+    tally(totals.rarity, spec.rarity);
+    tally(totals.locomotion, spec.locomotion);
+    const stats = robotStats(spec);
+    tally(totals.role, stats.role);
+    const issues = solved ? { issues: solved.report.issues.length } : {};
+    robots.push({ seed: spec.seed, fingerprint: robotFingerprint(spec), geometryFingerprint: robotGeometryFingerprint(solidRobot),
+      rarity: spec.rarity, locomotion: spec.locomotion, identity: robotIdentity(spec), parts, stats, ...countGeometry(solidRobot), ...issues, files });
+    log(i + 1, seeds.length);
+  });
+
+  const index = {
+    generator: 'RoboGen',
+    count: robots.length,
+    catalog: constraints.catalog ?? CATALOG_VERSION,
+    detail,
+    solid,
+    ground,
+    formats,
+    constraints,
+    totals,
+    robots,
+  };
+  fs.writeFileSync(path.join(out, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+  return index;
+}
+
+function main(argv) {
+  let options;
+  try {
+    options = parseOptions(argv);
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    console.log(USAGE);
+    return 0;
+  }
+  if (!options.seeds.length) {
+    console.error(`No seeds given\n\n${USAGE}`);
+    return 2;
+  }
+
+  const log = options.quiet ? () => {} : (done, total) => {
+    if (done % 100 === 0 || done === total) process.stderr.write(`\r${done}/${total} robots`);
+    if (done === total) process.stderr.write('\n');
+  };
+  try {
+    const index = runBatch({ ...options, log });
+    if (!options.quiet) console.log(`Wrote ${index.count} robots to ${options.out}`);
+    return 0;
+  } catch (err) {
+    console.error(`robogen: ${err.message}`);
+    return 1;
+  }
+}
+
+// Run only when executed directly (or through the package's bin link), so
+// runBatch can be imported by build scripts
+if (process.argv[1] && fs.realpathSync(path.resolve(process.argv[1])) === fileURLToPath(import.meta.url)) {
+  process.exitCode = main(process.argv.slice(2));
+}
@@ -0,0 +1,47 @@
+// ============================================================================
+// COLOR HELPERS (no Three.js dependency)
+// ============================================================================
+// Mirrors THREE.Color#setHSL + getHexString (r128, which truncates channels)
+// so specs resolve to the same hex strings generateRobot has always produced.
+const hue2rgb = (p, q, t) => {
+  if (t < 0) t += 1;
+  if (t > 1) t -= 1;
+  if (t < 1 / 6) return p + (q - p) * 6 * t;
+  if (t < 1 / 2) return q;
+  if (t < 2 / 3) return p + (q - p) * 6 * (2 / 3 - t);
+  return p;
+};
+
+const clamp01 = (v) => Math.max(0, Math.min(1, v));
+
+export function hslToHex(h, s, l) {
+  h = ((h % 1) + 1) % 1;
+  s = clamp01(s);
+  l = clamp01(l);
+  let r = l, g = l, b = l;
+  if (s !== 0) {
+    const p = l <= 0.5 ? l * (1 + s) : l + s - (l * s);
+    const q = (2 * l) - p;
+    r = hue2rgb(q, p, h + 1 / 3);
+    g = hue2rgb(q, p, h);
+    b = hue2rgb(q, p, h - 1 / 3);
+  }
+  const hex = (v) => Math.floor(clamp01(v) * 255).toString(16).padStart(2, '0');
+  return '#' + hex(r) + hex(g) + hex(b);
+}
+
+// Inverse of hslToHex, for blending and shifting palette colors
+export function hexToHsl(hex) {
+  const n = parseInt(hex.slice(1), 16);
+  const r = (n >> 16 & 255) / 255, g = (n >> 8 & 255) / 255, b = (n & 255) / 255;
+  const max = Math.max(r, g, b), min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+  const d = max - min;
+  const s = l <= 0.5 ? d / (max + min) : d / (2 - max - min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return [h / 6, s, l];
+}
@@ -0,0 +1,61 @@
+// ============================================================================
+// HEADLESS ENTRY (no Three.js dependency)
+// ============================================================================
+// Specs, catalog versions, palettes, breeding, overrides, stats and identity:
+// everything that works on specs without building geometry. Servers and
+// tools that never render import this ('robogen/core') and never load three;
+// robogen/index.js re-exports it alongside the builders.
+
+export { createSeededRNG } from './rng.js';
+export { hslToHex, hexToHsl } from './color.js';
+export {
+  RARITY_TIERS,
+  PartCatalog,
+  LocomotionCatalog,
+  partTypes,
+  ACCESSORY_MOUNTS,
+  accessoryTypes,
+  locomotionPartTypes,
+  rarityOf,
+  weightOf,
+  pickWeighted,
+  rollPartParams,
+  robotRarity
+} from './catalog.js';
+export {
+  CATALOG_VERSIONS,
+  CATALOG_VERSION,
+  catalogVersion,
+  registerCatalogVersion,
+  versionDriveTypes,
+  robotFingerprint,
+  robotGeometryFingerprint
+} from './versions.js';
+export {
+  SPEC_VERSION,
+  DEFAULT_RANGES,
+  DEFAULT_CHANCES,
+  ARM_SOCKETS,
+  MAX_ARMS,
+  LEG_LAYOUTS,
+  SEED_SLOTS,
+  CONSTRAINT_KEYS,
+  mountedAccessory,
+  generateRobotSpec,
+  genomeFromSpec,
+  specFromGenome,
+  validateRobotSpec
+} from './spec.js';
+export {
+  PALETTE_ROLES,
+  PALETTE_KEYS,
+  PaletteThemes,
+  partRole,
+  paletteColor,
+  registerPaletteTheme,
+  resolvePalette
+} from './palette.js';
+export { BREED_SLOTS, crossRobotSpecs, mutateRobotSpec } from './breed.js';
+export { OVERRIDE_KEYS, mergeRobotOverrides, applyRobotOverrides } from './overrides.js';
+export { DAMAGE_TYPES, ROBOT_ROLES, partVolume, partStats, robotStats } from './stats.js';
+export { MANUFACTURERS, ROBOT_CLASSES, colorName, robotIdentity } from './identity.js';
@@ -0,0 +1,327 @@
+import * as THREE from 'three';
+import { buildRobotFromSpec } from '../generator.js';
+
+// ============================================================================
+// BLUEPRINT SVG EXPORT
+// ============================================================================
+// Projects the wireframe edges onto front, side and top orthographic views
+// (third angle layout) on an A3 blueprint sheet. Visibility is resolved on the
+// CPU against the solid faces, so it runs headless; a wireframe-only robot
+// gets a solid twin built from its spec and posed like the original.
+
+const SHEET = { width: 420, height: 297, margin: 12, titleWidth: 120, gap: 24 };
+const INK = '#e8f1ff';
+const PAPER = '#123e73';
+
+// Each view maps robot space to [u, v, depth]; u is right, v up, depth toward the viewer
+const VIEWS = {
+  front: { label: 'FRONT', project: (p) => [p.x, p.y, p.z] },
+  side: { label: 'SIDE (RIGHT)', project: (p) => [-p.z, p.y, p.x] },
+  top: { label: 'TOP', project: (p) => [p.x, -p.z, p.y] },
+};
+
+const GRID = 48;
+
+const fmt = (n) => +n.toFixed(2);
+
+const escapeXML = (text) => String(text).replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Pose the twin like the original: both trees share their Group order
+function copyPose(from, to) {
+  const groups = (root) => {
+    const out = [];
+    root.traverse((obj) => { if (obj !== root && obj.isGroup) out.push(obj); });
+    return out;
+  };
+  const target = groups(to);
+  groups(from).forEach((obj, i) => {
+    if (!target[i]) return;
+    target[i].position.copy(obj.position);
+    target[i].quaternion.copy(obj.quaternion);
+    target[i].scale.copy(obj.scale);
+  });
+}
+
+// Segment endpoints of every LineSegments (or triangle corners of every Mesh)
+// in robot space, one list per object
+function collectGeometry(robot, kind) {
+  robot.updateMatrixWorld(true);
+  const toRobot = new THREE.Matrix4().copy(robot.matrixWorld).invert();
+  const matrix = new THREE.Matrix4();
+  const lists = [];
+  robot.traverse((obj) => {
+    if (kind === 'edges' ? !obj.isLineSegments : !obj.isMesh) return;
+    matrix.multiplyMatrices(toRobot, obj.matrixWorld);
+    const points = [];
+    const position = obj.geometry.attributes.position;
+    const index = obj.geometry.index;
+    const count = index ? index.count : position.count;
+    for (let i = 0; i < count; i++) {
+      points.push(new THREE.Vector3().fromBufferAttribute(position, index ? index.getX(i) : i).applyMatrix4(matrix));
+    }
+    lists.push(points);
+  });
+  return lists;
+}
+
+// The robot itself when built solid, else a solid twin
+function solidSource(robot) {
+  if (robot.getObjectByProperty('isMesh', true)) return robot;
+  const spec = robot.userData.spec;
+  if (!spec) throw new Error('Robot has no solid meshes and no spec to rebuild them from');
+  const twin = buildRobotFromSpec(spec, { detail: robot.userData.detail || 1, solid: true, merge: robot.userData.merged || false });
+  copyPose(robot, twin);
+  return twin;
+}
+
+// Edges with the wireframe threshold skip smooth surfaces, so curved parts
+// would have no outline; add the mesh edges where a face turns away from view
+function silhouetteEdges(meshes, project, tolerance) {
+  const out = [];
+  meshes.forEach((points) => {
+    const ids = new Map();
+    const idOf = (p) => {
+      const key = `${Math.round(p.x / tolerance)},${Math.round(p.y / tolerance)},${Math.round(p.z / tolerance)}`;
+      if (!ids.has(key)) ids.set(key, ids.size);
+      return ids.get(key);
+    };
+    const facing = [];
+    const edges = new Map();
+    const normal = new THREE.Vector3(), e = new THREE.Vector3();
+    for (let i = 0; i < points.length; i += 3) {
+      normal.subVectors(points[i + 1], points[i]).cross(e.subVectors(points[i + 2], points[i])).normalize();
+      facing.push(project(normal)[2]);
+      for (let k = 0; k < 3; k++) {
+        const a = points[i + k], b = points[i + (k + 1) % 3];
+        const ia = idOf(a), ib = idOf(b);
+        const key = ia < ib ? `${ia},${ib}` : `${ib},${ia}`;
+        if (!edges.has(key)) edges.set(key, { a, b, faces: [] });
+        edges.get(key).faces.push(i / 3);
+      }
+    }
+    edges.forEach(({ a, b, faces }) => {
+      if (faces.length !== 2) return;
+      // Faces seen edge-on count as neither side, so both of their rims are kept
+      const [f1, f2] = faces.map((f) => facing[f]);
+      if ((f1 > 1e-6) !== (f2 > 1e-6) || (f1 < -1e-6) !== (f2 < -1e-6)) out.push(a, b);
+    });
+  });
+  return out;
+}
+
+// Bins projected triangles into a uniform grid so each visibility test only
+// looks at the faces under it
+function createDepthIndex(triangles, bounds) {
+  const cells = Array.from({ length: GRID * GRID }, () => []);
+  const sizeU = (bounds.maxU - bounds.minU) / GRID || 1;
+  const sizeV = (bounds.maxV - bounds.minV) / GRID || 1;
+  const cellOf = (u, v) => [
+    Math.min(GRID - 1, Math.max(0, Math.floor((u - bounds.minU) / sizeU))),
+    Math.min(GRID - 1, Math.max(0, Math.floor((v - bounds.minV) / sizeV))),
+  ];
+
+  for (let i = 0; i < triangles.length; i += 3) {
+    const [a, b, c] = [triangles[i], triangles[i + 1], triangles[i + 2]];
+    const area = (b[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (b[1] - a[1]);
+    if (Math.abs(area) < 1e-12) continue;
+    const tri = { a, b, c, area };
+    const [u0, v0] = cellOf(Math.min(a[0], b[0], c[0]), Math.min(a[1], b[1], c[1]));
+    const [u1, v1] = cellOf(Math.max(a[0], b[0], c[0]), Math.max(a[1], b[1], c[1]));
+    for (let u = u0; u <= u1; u++) for (let v = v0; v <= v1; v++) cells[v * GRID + u].push(tri);
+  }
+
+  // True when a face lies in front of point p = [u, v, depth]
+  return (p, epsilon) => {
+    const [cu, cv] = cellOf(p[0], p[1]);
+    return cells[cv * GRID + cu].some(({ a, b, c, area }) => {
+      const w1 = ((p[0] - a[0]) * (c[1] - a[1]) - (c[0] - a[0]) * (p[1] - a[1])) / area;
+      const w2 = ((b[0] - a[0]) * (p[1] - a[1]) - (p[0] - a[0]) * (b[1] - a[1])) / area;
+      const w0 = 1 - w1 - w2;
+      if (w0 <= 1e-9 || w1 <= 1e-9 || w2 <= 1e-9) return false;
+      return w0 * a[2] + w1 * b[2] + w2 * c[2] > p[2] + epsilon;
+    });
+  };
+}
+
+// Splits every edge into visible and hidden runs for one view
+function projectView(view, edges, meshes, box) {
+  const extent = Math.max(...box.getSize(new THREE.Vector3()).toArray());
+  const project = VIEWS[view].project;
+  const lines = edges.concat(silhouetteEdges(meshes, project, extent * 1e-5));
+  const segments = [];
+  for (let i = 0; i < lines.length; i += 2) segments.push([project(lines[i]), project(lines[i + 1])]);
+  const triangles = meshes.flat().map(project);
+
+  const corners = [box.min, box.max].flatMap((x) => [box.min, box.max].flatMap((y) => [box.min, box.max]
+    .map((z) => project(new THREE.Vector3(x.x, y.y, z.z)))));
+  const us = corners.map((c) => c[0]), vs = corners.map((c) => c[1]);
+  const bounds = { minU: Math.min(...us), maxU: Math.max(...us), minV: Math.min(...vs), maxV: Math.max(...vs) };
+
+  const occluded = createDepthIndex(triangles, bounds);
+  const epsilon = extent * 1e-3;
+  const step = extent / 150;
+  const visible = [], hidden = [];
+  const lerp = (a, b, t) => a.map((x, k) => x + (b[k] - x) * t);
+
+  segments.forEach(([a, b]) => {
+    const length = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (length < 1e-9) return;
+    const n = Math.min(24, Math.max(1, Math.ceil(length / step)));
+    let start = 0;
+    let state = occluded(lerp(a, b, 0.5 / n), epsilon);
+    for (let k = 1; k <= n; k++) {
+      const next = k < n ? occluded(lerp(a, b, (k + 0.5) / n), epsilon) : !state;
+      if (next !== state) {
+        (state ? hidden : visible).push([lerp(a, b, start / n), lerp(a, b, k / n)]);
+        start = k;
+        state = next;
+      }
+    }
+  });
+  return { bounds, visible, hidden };
+}
+
+// ============================================================================
+// SHEET LAYOUT
+// ============================================================================
+function pathOf(segments, toSheet) {
+  return segments.map(([a, b]) => {
+    const [x1, y1] = toSheet(a), [x2, y2] = toSheet(b);
+    return `M${fmt(x1)} ${fmt(y1)}L${fmt(x2)} ${fmt(y2)}`;
+  }).join('');
+}
+
+// Dimension line between two sheet points, pushed out by `offset` along its normal.
+// Vertical dimensions read bottom to top, on the outer side of the line.
+function dimension(x1, y1, x2, y2, offset, label) {
+  const vertical = x1 === x2;
+  const [dx, dy] = vertical ? [offset, 0] : [0, offset];
+  const [ax, ay, bx, by] = [x1 + dx, y1 + dy, x2 + dx, y2 + dy];
+  let tx = (ax + bx) / 2, ty = ay + (offset < 0 ? -1.2 : 4.4), rotate = '';
+  if (vertical) {
+    tx = ax + (offset < 0 ? -1.2 : 4.4);
+    ty = (ay + by) / 2;
+    rotate = ` transform="rotate(-90 ${fmt(tx)} ${fmt(ty)})"`;
+  }
+  return [
+    `<path class="ext" d="M${fmt(x1)} ${fmt(y1)}L${fmt(ax + Math.sign(dx) * 1.5)} ${fmt(ay + Math.sign(dy) * 1.5)}M${fmt(x2)} ${fmt(y2)}L${fmt(bx + Math.sign(dx) * 1.5)} ${fmt(by + Math.sign(dy) * 1.5)}"/>`,
+    `<path class="dim" d="M${fmt(ax)} ${fmt(ay)}L${fmt(bx)} ${fmt(by)}" marker-start="url(#arrow)" marker-end="url(#arrow)"/>`,
+    `<text x="${fmt(tx)}" y="${fmt(ty)}"${rotate} text-anchor="middle" class="dim-label">${escapeXML(label)}</text>`,
+  ].join('');
+}
+
+function titleBlock(spec, x, y, width, height, unit) {
+  const lines = [];
+  const row = (text, cls = 'small') => lines.push({ text, cls });
+  row('ROBOGEN BLUEPRINT', 'heading');
+  row(`SEED      ${spec.seed}`);
+  row(`RARITY    ${spec.rarity.toUpperCase()}`);
+  row(`DRIVE     ${spec.locomotion.toUpperCase()}`);
+  row(`SCALE     ${fmt(spec.scale)}`);
+  row(`UNITS     ${unit}`);
+  row('');
+  row('PART LIST', 'heading');
+  spec.parts.forEach((p, i) => row(`${String(i + 1).padStart(2, '0')}  ${p.id.padEnd(12)} ${p.type}`));
+
+  const lineHeight = 5;
+  const top = y + height - lines.length * lineHeight - 6;
+  return [
+    `<rect class="frame" x="${fmt(x)}" y="${fmt(top - 2)}" width="${fmt(width)}" height="${fmt(y + height - top + 2)}"/>`,
+    ...lines.map((l, i) => `<text x="${fmt(x + 4)}" y="${fmt(top + 4 + i * lineHeight)}" class="${l.cls}" xml:space="preserve">${escapeXML(l.text)}</text>`),
+  ].join('');
+}
+
+// Returns the sheet as an SVG string
+export function exportRobotBlueprint(robot, { hidden = true, unit = 'm' } = {}) {
+  const spec = robot.userData.spec;
+  const edges = collectGeometry(robot, 'edges').flat();
+  if (!edges.length) throw new Error('Robot has no wireframe edges to draw');
+  const solid = solidSource(robot);
+  const meshes = collectGeometry(solid, 'faces');
+
+  // Smooth parts may only show up as silhouettes, so measure the faces too
+  const box = new THREE.Box3().setFromPoints(edges.concat(meshes.flat()));
+  const size = box.getSize(new THREE.Vector3());
+  const views = {};
+  Object.keys(VIEWS).forEach((view) => { views[view] = projectView(view, edges, meshes, box); });
+
+  // Front bottom-left, side to its right, top above; title block in the right column
+  const { width, height, margin, titleWidth, gap } = SHEET;
+  const areaW = width - 2 * margin - titleWidth - 2 * gap;
+  // Leave room above the top view for its label
+  const areaH = height - 2 * margin - 2 * gap - 8;
+  const s = Math.min(areaW / (size.x + size.z), areaH / (size.y + size.z));
+  const left = margin + gap + (areaW - (size.x + size.z) * s) / 2;
+  const bottom = height - margin - gap;
+  const origins = {
+    front: [left, bottom],
+    side: [left + size.x * s + gap, bottom],
+    top: [left, bottom - size.y * s - gap],
+  };
+  const sheetMapper = (view) => {
+    const { bounds } = views[view];
+    const [ox, oy] = origins[view];
+    return ([u, v]) => [ox + (u - bounds.minU) * s, oy - (v - bounds.minV) * s];
+  };
+
+  const out = [];
+  out.push(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}mm" height="${height}mm" viewBox="0 0 ${width} ${height}">`);
+  out.push(`<title>${escapeXML(`RoboGen blueprint ${spec ? spec.seed : ''}`.trim())}</title>`);
+  out.push('<defs>');
+  out.push(`<pattern id="grid" width="10" height="10" patternUnits="userSpaceOnUse"><path d="M10 0H0V10" fill="none" stroke="${INK}" stroke-opacity="0.12" stroke-width="0.2"/></pattern>`);
+  out.push(`<marker id="arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="6" markerHeight="6" orient="auto-start-reverse"><path d="M0 0L10 5L0 10z" fill="${INK}"/></marker>`);
+  out.push('<style>');
+  out.push(`.edge{fill:none;stroke:${INK};stroke-width:0.25;stroke-linecap:round}`);
+  out.push(`.hidden{fill:none;stroke:${INK};stroke-width:0.18;stroke-dasharray:1.2 0.8;stroke-opacity:0.55}`);
+  out.push(`.dim,.ext{fill:none;stroke:${INK};stroke-width:0.18}.ext{stroke-opacity:0.6}`);
+  out.push(`.frame{fill:none;stroke:${INK};stroke-width:0.5}`);
+  out.push(`text{fill:${INK};font-family:monospace}.small,.dim-label{font-size:3.2px}.heading,.view-label{font-size:4.2px;font-weight:bold}`);
+  out.push('</style>');
+  out.push('</defs>');
+  out.push(`<rect width="${width}" height="${height}" fill="${PAPER}"/>`);
+  out.push(`<rect width="${width}" height="${height}" fill="url(#grid)"/>`);
+  out.push(`<rect class="frame" x="${margin / 2}" y="${margin / 2}" width="${width - margin}" height="${height - margin}"/>`);
+
+  Object.keys(VIEWS).forEach((view) => {
+    const toSheet = sheetMapper(view);
+    const { bounds, visible, hidden: occludedEdges } = views[view];
+    const [x, y] = toSheet([bounds.minU, bounds.maxV]);
+    out.push(`<g id="${view}">`);
+    out.push(`<text x="${fmt(x)}" y="${fmt(y - 3)}" class="view-label">${VIEWS[view].label}</text>`);
+    if (hidden && occludedEdges.length) out.push(`<path class="hidden" d="${pathOf(occludedEdges, toSheet)}"/>`);
+    out.push(`<path class="edge" d="${pathOf(visible, toSheet)}"/>`);
+    out.push('</g>');
+  });
+
+  // Dimensions: overall width and height on the front view, depth on the side view
+  const label = (n) => `${fmt(n)} ${unit}`;
+  const front = sheetMapper('front');
+  const [fx0, fy0] = front([box.min.x, box.min.y]);
+  const [fx1, fy1] = front([box.max.x, box.max.y]);
+  out.push('<g id="dimensions">');
+  out.push(dimension(fx0, fy0, fx1, fy0, 10, label(size.x)));
+  out.push(dimension(fx0, fy1, fx0, fy0, -10, label(size.y)));
+  const [sx0] = sheetMapper('side')([-box.max.z, box.min.y]);
+  const [sx1] = sheetMapper('side')([-box.min.z, box.min.y]);
+  out.push(dimension(sx0, fy0, sx1, fy0, 10, label(size.z)));
+
+  // Arm reach: shoulder pivot to fingertip, beside the arm drawn on the right
+  const arm = spec && spec.parts
+    .filter((p) => p.category === 'arm')
+    .sort((a, b) => b.position[0] - a.position[0])[0];
+  const armGroup = arm && solid.children.find((child) => child.userData.part === arm.id);
+  if (armGroup) {
+    const armBox = new THREE.Box3().setFromPoints(collectGeometry(armGroup, 'faces').flat()
+      .map((p) => p.applyMatrix4(armGroup.matrix)));
+    const [ax, ay0] = front([box.max.x, arm.position[1]]);
+    const [, ay1] = front([box.max.x, armBox.min.y]);
+    out.push(dimension(ax, ay0, ax, ay1, 6, `REACH ${label(arm.position[1] - armBox.min.y)}`));
+  }
+  out.push('</g>');
+
+  if (spec) {
+    out.push(titleBlock(spec, width - margin - titleWidth, margin, titleWidth, height - 2 * margin, unit));
+  }
+  out.push('</svg>');
+  return out.join('\n') + '\n';
+}
@@ -0,0 +1,234 @@
+import * as THREE from 'three';
+
+// ============================================================================
+// GLTF 2.0 EXPORT
+// ============================================================================
+// A small exporter for what RoboGen builds: Groups, LineSegments and flat
+// shaded Meshes. It only reads plain Object3D/BufferGeometry fields, so it runs
+// in Node without a DOM (three's GLTFExporter needs FileReader/Blob).
+
+const GL = { LINES: 1, TRIANGLES: 4, FLOAT: 5126, UNSIGNED_SHORT: 5123, UNSIGNED_INT: 5125,
+  ARRAY_BUFFER: 34962, ELEMENT_ARRAY_BUFFER: 34963 };
+
+// glTF colors are linear. getHexString() is sRGB in every three release, so
+// material factors are read from it; Color's own r/g/b are linear once three's
+// color management is on (r152+) and sRGB before.
+const srgbToLinear = (c) => (c < 0.04045 ? c * 0.0773993808 : Math.pow(c * 0.9478672986 + 0.0521327014, 2.4));
+const linearRGB = (color) => {
+  const hex = parseInt(color.getHexString(), 16);
+  return [hex >> 16, (hex >> 8) & 0xff, hex & 0xff].map((byte) => srgbToLinear(byte / 255));
+};
+
+// Vertex colors copy Color's r/g/b as they are, so they are linear only when color management is on
+const colorManaged = () => Boolean(THREE.ColorManagement && THREE.ColorManagement.enabled);
+
+const isIdentityTRS = (obj) =>
+  obj.position.x === 0 && obj.position.y === 0 && obj.position.z === 0 &&
+  obj.quaternion.x === 0 && obj.quaternion.y === 0 && obj.quaternion.z === 0 && obj.quaternion.w === 1 &&
+  obj.scale.x === 1 && obj.scale.y === 1 && obj.scale.z === 1;
+
+function toBase64(bytes) {
+  if (typeof Buffer !== 'undefined') {
+    return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+  }
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// Part groups and robot roots keep what identifies them in node extras
+function extrasOf(obj) {
+  const { spec, part, joint } = obj.userData;
+  if (spec) return { seed: spec.seed, rarity: spec.rarity, spec };
+  if (part) return { part };
+  if (joint) return { joint };
+  return null;
+}
+
+const hasPrimitives = (obj) => {
+  if (!obj.isLineSegments && !obj.isMesh) return false;
+  const { index, attributes } = obj.geometry;
+  return attributes.position.count > 0 && (!index || index.count > 0);
+};
+
+function buildDocument(root) {
+  const json = {
+    asset: { version: '2.0', generator: 'RoboGen' },
+    scene: 0,
+    scenes: [{ nodes: [] }],
+    nodes: [],
+    meshes: [],
+    materials: [],
+    accessors: [],
+    bufferViews: [],
+    buffers: [],
+  };
+  const chunks = [];
+  let byteLength = 0;
+  const geometryCache = new Map();
+  const materialCache = new Map();
+
+  const addBufferView = (array, target) => {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    const padding = (4 - (byteLength % 4)) % 4;
+    if (padding) { chunks.push(new Uint8Array(padding)); byteLength += padding; }
+    chunks.push(bytes);
+    json.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target });
+    byteLength += bytes.byteLength;
+    return json.bufferViews.length - 1;
+  };
+
+  const addAccessors = (geometry) => {
+    if (geometryCache.has(geometry.uuid)) return geometryCache.get(geometry.uuid);
+    const position = geometry.attributes.position;
+    const positions = Float32Array.from(position.array);
+    const accessor = {
+      bufferView: addBufferView(positions, GL.ARRAY_BUFFER),
+      componentType: GL.FLOAT, count: position.count, type: 'VEC3',
+    };
+    if (position.count) {
+      accessor.min = [Infinity, Infinity, Infinity];
+      accessor.max = [-Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < positions.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+          accessor.min[k] = Math.min(accessor.min[k], positions[i + k]);
+          accessor.max[k] = Math.max(accessor.max[k], positions[i + k]);
+        }
+      }
+    }
+    json.accessors.push(accessor);
+    const out = { position: json.accessors.length - 1 };
+
+    // Merged robots carry per-vertex colors
+    const color = geometry.attributes.color;
+    if (color) {
+      json.accessors.push({
+        bufferView: addBufferView(colorManaged() ? Float32Array.from(color.array) : Float32Array.from(color.array, srgbToLinear),
+          GL.ARRAY_BUFFER),
+        componentType: GL.FLOAT, count: color.count, type: 'VEC3',
+      });
+      out.color = json.accessors.length - 1;
+    }
+
+    if (geometry.index) {
+      const wide = position.count > 65535;
+      const indices = wide ? Uint32Array.from(geometry.index.array) : Uint16Array.from(geometry.index.array);
+      json.accessors.push({
+        bufferView: addBufferView(indices, GL.ELEMENT_ARRAY_BUFFER),
+        componentType: wide ? GL.UNSIGNED_INT : GL.UNSIGNED_SHORT, count: indices.length, type: 'SCALAR',
+      });
+      out.indices = json.accessors.length - 1;
+    }
+    geometryCache.set(geometry.uuid, out);
+    return out;
+  };
+
+  const addMaterial = (material, isLine) => {
+    const c = material.color;
+    const key = `${isLine ? 'line' : 'mesh'}:${c.getHexString()}:${material.opacity}`;
+    if (materialCache.has(key)) return materialCache.get(key);
+    const gltfMaterial = {
+      name: key,
+      pbrMetallicRoughness: {
+        baseColorFactor: [...linearRGB(c), material.opacity],
+        metallicFactor: 0,
+        roughnessFactor: 1,
+      },
+    };
+    if (isLine) {
+      gltfMaterial.extensions = { KHR_materials_unlit: {} };
+      json.extensionsUsed = ['KHR_materials_unlit'];
+    } else {
+      gltfMaterial.doubleSided = material.side === THREE.DoubleSide;
+      if (material.transparent && material.opacity < 1) gltfMaterial.alphaMode = 'BLEND';
+    }
+    json.materials.push(gltfMaterial);
+    materialCache.set(key, json.materials.length - 1);
+    return json.materials.length - 1;
+  };
+
+  const addNode = (obj) => {
+    const node = {};
+    if (obj.name) node.name = obj.name;
+    if (!isIdentityTRS(obj)) {
+      node.translation = obj.position.toArray();
+      node.rotation = obj.quaternion.toArray();
+      node.scale = obj.scale.toArray();
+    }
+    const extras = extrasOf(obj);
+    if (extras) node.extras = extras;
+
+    // High edge thresholds can leave a part with no edges; glTF has no empty
+    // accessors, so such objects become bare nodes
+    if (hasPrimitives(obj)) {
+      const accessors = addAccessors(obj.geometry);
+      // Flat shading: glTF viewers compute flat normals when NORMAL is omitted
+      const primitive = {
+        attributes: { POSITION: accessors.position },
+        material: addMaterial(obj.material, obj.isLineSegments),
+        mode: obj.isLineSegments ? GL.LINES : GL.TRIANGLES,
+      };
+      if (accessors.color !== undefined) primitive.attributes.COLOR_0 = accessors.color;
+      if (accessors.indices !== undefined) primitive.indices = accessors.indices;
+      json.meshes.push({ name: obj.isLineSegments ? 'edges' : 'faces', primitives: [primitive] });
+      node.mesh = json.meshes.length - 1;
+    }
+
+    const index = json.nodes.length;
+    json.nodes.push(node);
+    const children = obj.children.filter((child) => child.isGroup || child.isLineSegments || child.isMesh);
+    if (children.length) node.children = children.map(addNode);
+    return index;
+  };
+
+  json.scenes[0].nodes = [].concat(root).map(addNode);
+
+  const bin = new Uint8Array(byteLength + ((4 - (byteLength % 4)) % 4));
+  let offset = 0;
+  chunks.forEach((chunk) => { bin.set(chunk, offset); offset += chunk.byteLength; });
+  if (bin.byteLength) json.buffers.push({ byteLength: bin.byteLength });
+  ['meshes', 'materials', 'accessors', 'bufferViews', 'buffers'].forEach((key) => {
+    if (!json[key].length) delete json[key];
+  });
+  return { json, bin };
+}
+
+// `root` is a robot (or any Object3D), or an array of them for a multi-robot scene.
+// glTF JSON with the buffer embedded as a data URI
+export function exportRobotGLTF(root) {
+  const { json, bin } = buildDocument(root);
+  if (json.buffers) json.buffers[0].uri = 'data:application/octet-stream;base64,' + toBase64(bin);
+  return json;
+}
+
+// Binary GLB container (Uint8Array)
+export function exportRobotGLB(root) {
+  const { json, bin } = buildDocument(root);
+  let jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonPadding = (4 - (jsonBytes.byteLength % 4)) % 4;
+  if (jsonPadding) {
+    const padded = new Uint8Array(jsonBytes.byteLength + jsonPadding).fill(0x20);
+    padded.set(jsonBytes);
+    jsonBytes = padded;
+  }
+  // The BIN chunk is left out when there is no geometry at all
+  const binChunk = bin.byteLength ? 8 + bin.byteLength : 0;
+  const total = 12 + 8 + jsonBytes.byteLength + binChunk;
+  const glb = new Uint8Array(total);
+  const view = new DataView(glb.buffer);
+  view.setUint32(0, 0x46546c67, true); // 'glTF'
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonBytes.byteLength, true);
+  view.setUint32(16, 0x4e4f534a, true); // 'JSON'
+  glb.set(jsonBytes, 20);
+  if (binChunk) {
+    const binOffset = 20 + jsonBytes.byteLength;
+    view.setUint32(binOffset, bin.byteLength, true);
+    view.setUint32(binOffset + 4, 0x004e4942, true); // 'BIN\0'
+    glb.set(bin, binOffset + 8);
+  }
+  return glb;
+}
@@ -0,0 +1,170 @@
+import * as THREE from 'three';
+
+// ============================================================================
+// 3D PRINT EXPORT (STL / OBJ)
+// ============================================================================
+// Solid mode overlaps primitives and renders them double sided, which is fine
+// on screen but not in a slicer. Here every primitive becomes a closed shell:
+// vertices are welded (three's primitives split seams, poles and box faces),
+// degenerate triangles dropped and winding fixed for mirrored transforms.
+// Slicers union overlapping closed shells, and a pedestal fused into the feet
+// keeps the figurine in one piece on the print bed.
+
+// Relative to the robot's height, before scaling to the print
+const WELD_TOLERANCE = 1e-5;
+
+function partNameOf(obj, root) {
+  for (let o = obj; o && o !== root; o = o.parent) {
+    if (o.userData.part !== undefined) return o.name || o.userData.part;
+  }
+  return 'robot';
+}
+
+// Collect welded shells in robot space from every solid Mesh under `robot`
+function collectShells(robot) {
+  robot.updateMatrixWorld(true);
+  const toRobot = new THREE.Matrix4().copy(robot.matrixWorld).invert();
+  const matrix = new THREE.Matrix4();
+  const v = new THREE.Vector3();
+  const shells = [];
+
+  robot.traverse((obj) => {
+    if (!obj.isMesh) return;
+    matrix.multiplyMatrices(toRobot, obj.matrixWorld);
+    const flip = matrix.determinant() < 0;
+    const position = obj.geometry.attributes.position;
+    const index = obj.geometry.index;
+    const count = index ? index.count : position.count;
+    shells.push({ name: partNameOf(obj, robot), matrix: matrix.clone(), flip, position, index, count });
+  });
+  if (!shells.length) {
+    throw new Error('Robot has no solid meshes; build it with { solid: true } to export for printing');
+  }
+
+  const box = new THREE.Box3();
+  shells.forEach((s) => {
+    for (let i = 0; i < s.position.count; i++) box.expandByPoint(v.fromBufferAttribute(s.position, i).applyMatrix4(s.matrix));
+  });
+  const tolerance = Math.max(box.max.y - box.min.y, 1e-6) * WELD_TOLERANCE;
+
+  return {
+    box,
+    shells: shells.map((s) => {
+      const lookup = new Map();
+      const vertices = [];
+      const remap = [];
+      for (let i = 0; i < s.position.count; i++) {
+        v.fromBufferAttribute(s.position, i).applyMatrix4(s.matrix);
+        const key = `${Math.round(v.x / tolerance)},${Math.round(v.y / tolerance)},${Math.round(v.z / tolerance)}`;
+        if (!lookup.has(key)) {
+          lookup.set(key, vertices.length / 3);
+          vertices.push(v.x, v.y, v.z);
+        }
+        remap.push(lookup.get(key));
+      }
+      const triangles = [];
+      for (let i = 0; i < s.count; i += 3) {
+        const at = (k) => remap[s.index ? s.index.getX(i + k) : i + k];
+        const a = at(0), b = s.flip ? at(2) : at(1), c = s.flip ? at(1) : at(2);
+        if (a !== b && b !== c && a !== c) triangles.push(a, b, c);
+      }
+      return { name: s.name, vertices, triangles };
+    }),
+  };
+}
+
+function pedestalShell(box, thickness) {
+  const radius = 0.55 * Math.max(box.max.x - box.min.x, box.max.z - box.min.z);
+  const geometry = new THREE.CylinderGeometry(radius, radius * 1.08, thickness, 48, 1);
+  // Sink the top a quarter of the thickness into the lowest parts so they fuse
+  geometry.translate((box.min.x + box.max.x) / 2, box.min.y - thickness * 0.25, (box.min.z + box.max.z) / 2);
+  const mesh = new THREE.Mesh(geometry);
+  mesh.userData.part = 'pedestal';
+  mesh.name = 'pedestal';
+  const holder = new THREE.Group();
+  holder.add(mesh);
+  return collectShells(holder).shells[0];
+}
+
+// Counts edges not shared by exactly two triangles; 0 means the shell is closed
+export function countOpenEdges(shell) {
+  const edges = new Map();
+  const t = shell.triangles;
+  for (let i = 0; i < t.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = t[i + k], b = t[i + (k + 1) % 3];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      edges.set(key, (edges.get(key) || 0) + 1);
+    }
+  }
+  let open = 0;
+  edges.forEach((n) => { if (n !== 2) open++; });
+  return open;
+}
+
+// Closed shells scaled to `height` (mm), standing on z = 0 (or y = 0 with zUp: false)
+export function buildPrintShells(robot, { height = 80, pedestal = true, zUp = true } = {}) {
+  const { box, shells } = collectShells(robot);
+  const thickness = (box.max.y - box.min.y) * 0.06;
+  if (pedestal) shells.push(pedestalShell(box, thickness));
+
+  const minY = pedestal ? box.min.y - thickness * 0.75 : box.min.y;
+  const scale = height / (box.max.y - minY);
+  const cx = (box.min.x + box.max.x) / 2, cz = (box.min.z + box.max.z) / 2;
+  shells.forEach((shell) => {
+    const vs = shell.vertices;
+    for (let i = 0; i < vs.length; i += 3) {
+      const x = (vs[i] - cx) * scale, y = (vs[i + 1] - minY) * scale, z = (vs[i + 2] - cz) * scale;
+      // Y-up to Z-up keeps the winding: (x, y, z) -> (x, -z, y) is a proper rotation
+      if (zUp) { vs[i] = x; vs[i + 1] = -z; vs[i + 2] = y; } else { vs[i] = x; vs[i + 1] = y; vs[i + 2] = z; }
+    }
+  });
+  return shells;
+}
+
+// Binary STL (Uint8Array)
+export function exportRobotSTL(robot, options = {}) {
+  const shells = buildPrintShells(robot, options);
+  const triangleCount = shells.reduce((n, s) => n + s.triangles.length / 3, 0);
+  const bytes = new Uint8Array(84 + triangleCount * 50);
+  const view = new DataView(bytes.buffer);
+  const header = `RoboGen ${robot.userData.spec ? robot.userData.spec.seed : ''}`.slice(0, 80);
+  for (let i = 0; i < header.length; i++) bytes[i] = header.charCodeAt(i) & 0x7f;
+  view.setUint32(80, triangleCount, true);
+
+  const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+  const n = new THREE.Vector3(), e = new THREE.Vector3();
+  let offset = 84;
+  shells.forEach(({ vertices: vs, triangles: t }) => {
+    for (let i = 0; i < t.length; i += 3) {
+      a.fromArray(vs, t[i] * 3); b.fromArray(vs, t[i + 1] * 3); c.fromArray(vs, t[i + 2] * 3);
+      n.subVectors(b, a).cross(e.subVectors(c, a)).normalize();
+      [n, a, b, c].forEach((p) => {
+        view.setFloat32(offset, p.x, true);
+        view.setFloat32(offset + 4, p.y, true);
+        view.setFloat32(offset + 8, p.z, true);
+        offset += 12;
+      });
+      offset += 2;
+    }
+  });
+  return bytes;
+}
+
+// Wavefront OBJ text, one group per part
+export function exportRobotOBJ(robot, options = {}) {
+  const shells = buildPrintShells(robot, options);
+  const lines = [`# RoboGen ${robot.userData.spec ? robot.userData.spec.seed : ''}`.trim(), 'o robot'];
+  let base = 1;
+  shells.forEach(({ name, vertices: vs, triangles: t }) => {
+    lines.push(`g ${name}`);
+    for (let i = 0; i < vs.length; i += 3) {
+      lines.push(`v ${+vs[i].toFixed(4)} ${+vs[i + 1].toFixed(4)} ${+vs[i + 2].toFixed(4)}`);
+    }
+    for (let i = 0; i < t.length; i += 3) {
+      lines.push(`f ${t[i] + base} ${t[i + 1] + base} ${t[i + 2] + base}`);
+    }
+    base += vs.length / 3;
+  });
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,67 @@
+import * as THREE from 'three';
+import { getTessellation } from './geometry.js';
+import { PartGenerators } from './parts/index.js';
+import { generateRobotSpec } from './spec.js';
+import { robotFingerprint } from './versions.js';
+import { rigPart, jointPrimitives } from './rig.js';
+import { recolorPrimitive } from './wireframe.js';
+import { withRobotCache } from './cache.js';
+import { mergeRobotGeometry } from './merge.js';
+import { applyHiddenLines } from './hiddenline.js';
+
+// ============================================================================
+// ROBOT BUILDER
+// ============================================================================
+// `cache` (from createRobotCache) shares geometries and materials between
+// robots; `merge` bakes each rigid body into one draw call per kind, and
+// 'all' bakes the whole robot at rest pose. `hiddenLines` ('remove', 'dim'
+// or 'dash') draws only visible edges, with faces as invisible occluders
+// whatever `solid` says.
+export function buildRobotFromSpec(spec, { detail = 1, solid = false, cache = null, merge = false, hiddenLines = null } = {}) {
+  return withRobotCache(cache, () => {
+    const robot = buildParts(spec, detail, solid || !!hiddenLines);
+    if (merge) mergeRobotGeometry(robot, { all: merge === 'all' });
+    if (hiddenLines) applyHiddenLines(robot, hiddenLines);
+    return robot;
+  });
+}
+
+function buildParts(spec, detail, solid) {
+  const tess = getTessellation(detail);
+  const robot = new THREE.Group();
+
+  spec.parts.forEach((p) => {
+    const generator = PartGenerators[p.category] && PartGenerators[p.category][p.type];
+    if (!generator) {
+      throw new Error(`Unknown ${p.category} part type: ${p.type}`);
+    }
+    const group = new THREE.Group();
+    generator(group, ...p.size, p.color, p.params, tess, solid);
+    if (p.jointColor) jointPrimitives(group, p).forEach((primitive) => recolorPrimitive(primitive, p.jointColor));
+    rigPart(group, p);
+    group.name = `${p.id}:${p.type}`;
+    group.userData.part = p.id;
+    group.position.set(...p.position);
+    group.rotation.set(...p.rotation);
+    // Mirrored parts (right-hand limbs) flip their geometry across x
+    if (p.mirror) group.scale.x = -1;
+    robot.add(group);
+  });
+
+  robot.name = `robot:${spec.seed}`;
+  robot.userData.spec = spec;
+  robot.userData.detail = detail;
+  return robot;
+}
+
+// ============================================================================
+// ROBOT GENERATOR
+// ============================================================================
+// `constraints.catalog` picks the catalog version; the robot's userData keeps
+// the spec and its fingerprint
+export function generateRobot(seed, detail = 1, showSolid = false, constraints = {}) {
+  const spec = generateRobotSpec(seed, constraints);
+  const robot = buildRobotFromSpec(spec, { detail, solid: showSolid });
+  robot.userData.fingerprint = robotFingerprint(spec);
+  return robot;
+}
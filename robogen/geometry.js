@@ -0,0 +1,40 @@
+import * as THREE from 'three';
+import { cachedGeometry } from './cache.js';
+
+// ============================================================================
+// TESSELLATION CONFIG
+// ============================================================================
+// Detail levels: 1 = minimal (low-poly), 2 = medium, 3 = high detail
+export const getTessellation = (detail = 1) => ({
+  box: Math.max(1, detail),
+  cylinderRadial: 4 + detail * 4,  // 8, 12, 16
+  cylinderHeight: detail,
+  sphereWidth: 4 + detail * 4,     // 8, 12, 16
+  sphereHeight: 3 + detail * 3,    // 6, 9, 12
+  torusRadial: 4 + detail * 2,     // 6, 8, 10
+  torusTubular: 8 + detail * 4,    // 12, 16, 20
+  cone: 4 + detail * 4,            // 8, 12, 16
+  edgeThreshold: detail === 1 ? 1 : (detail === 2 ? 15 : 25), // Show more/fewer edges
+});
+
+// Geometry factory with tessellation support. Inside a cached build identical
+// primitives come back as one shared geometry.
+const shared = (parts, build) => cachedGeometry(parts.join(':'), build);
+
+export const createGeo = {
+  box: (w, h, d, tess) => shared(['box', w, h, d, tess.box], () => new THREE.BoxGeometry(w, h, d, tess.box, tess.box, tess.box)),
+  // `segments` fixes the height segments of parts that never had more than one
+  cylinder: (rt, rb, h, tess, segments = tess.cylinderHeight) => shared(['cylinder', rt, rb, h, tess.cylinderRadial, segments],
+    () => new THREE.CylinderGeometry(rt, rb, h, tess.cylinderRadial, segments)),
+  // Fixed-sided cylinder (e.g. a hex prism) that keeps its sides at every detail
+  prism: (r, h, sides, segments = 1) => shared(['prism', r, h, sides, segments], () => new THREE.CylinderGeometry(r, r, h, sides, segments)),
+  sphere: (r, tess) => shared(['sphere', r, tess.sphereWidth, tess.sphereHeight], () => new THREE.SphereGeometry(r, tess.sphereWidth, tess.sphereHeight)),
+  cone: (r, h, tess) => shared(['cone', r, h, tess.cone], () => new THREE.ConeGeometry(r, h, tess.cone)),
+  torus: (r, tube, tess) => shared(['torus', r, tube, tess.torusRadial, tess.torusTubular],
+    () => new THREE.TorusGeometry(r, tube, tess.torusRadial, tess.torusTubular)),
+  // Platonic solids with subdivision detail
+  octahedron: (r, detail = 0) => shared(['octahedron', r, detail], () => new THREE.OctahedronGeometry(r, detail)),
+  tetrahedron: (r, detail = 0) => shared(['tetrahedron', r, detail], () => new THREE.TetrahedronGeometry(r, detail)),
+  icosahedron: (r, detail = 0) => shared(['icosahedron', r, detail], () => new THREE.IcosahedronGeometry(r, detail)),
+  dodecahedron: (r, detail = 0) => shared(['dodecahedron', r, detail], () => new THREE.DodecahedronGeometry(r, detail)),
+};
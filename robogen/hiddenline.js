@@ -0,0 +1,69 @@
+import * as THREE from 'three';
+import { cachedMaterial } from './cache.js';
+
+// ============================================================================
+// HIDDEN-LINE STYLE
+// ============================================================================
+// Vector-display look: faces only write depth (pushed back a little so edges
+// lying on them pass), then edges draw depth-tested, so only visible edges
+// show. Occluded edges are dropped ('remove') or drawn again where they are
+// behind something, dimmed ('dim') or dashed ('dash'). Faces draw first and
+// occluded edges last via renderOrder, so robots occlude each other too.
+export const HIDDEN_LINE_STYLES = ['remove', 'dim', 'dash'];
+
+const occluderMaterial = () => cachedMaterial('hidden:occluder', () => new THREE.MeshBasicMaterial({
+  colorWrite: false,
+  side: THREE.DoubleSide,
+  polygonOffset: true,
+  polygonOffsetFactor: 1,
+  polygonOffsetUnits: 1,
+}));
+
+// The occluded-edge twin of a line material (a color or vertex colors)
+function occludedMaterial(line, style) {
+  const { vertexColors } = line.material;
+  const color = line.material.color.getHexString();
+  return cachedMaterial(`hidden:${style}:${vertexColors ? 'vertex' : color}`, () => {
+    const options = {
+      color: vertexColors ? 0xffffff : line.material.color.clone(),
+      vertexColors,
+      transparent: true,
+      opacity: style === 'dash' ? 0.6 : 0.25,
+      depthFunc: THREE.GreaterDepth,
+      depthWrite: false,
+    };
+    return style === 'dash'
+      ? new THREE.LineDashedMaterial({ ...options, dashSize: 0.04, gapSize: 0.03 })
+      : new THREE.LineBasicMaterial(options);
+  });
+}
+
+// Restyles a robot built with faces (`solid`), merged or not, in place
+export function applyHiddenLines(robot, style = 'remove') {
+  if (!HIDDEN_LINE_STYLES.includes(style)) throw new Error(`Unknown hidden-line style: ${style}`);
+  if (robot.userData.hiddenLines) return robot;
+  const lines = [];
+  robot.traverse((obj) => {
+    if (obj.isMesh) {
+      obj.material = occluderMaterial();
+      obj.renderOrder = -1;
+    } else if (obj.isLineSegments) {
+      lines.push(obj);
+    }
+  });
+  if (style !== 'remove') {
+    lines.forEach((line) => {
+      const occluded = new THREE.LineSegments(line.geometry, occludedMaterial(line, style));
+      if (style === 'dash' && !line.geometry.attributes.lineDistance) occluded.computeLineDistances();
+      occluded.name = `hidden:${line.name}`;
+      occluded.userData.occludedEdges = true;
+      occluded.renderOrder = 1;
+      occluded.position.copy(line.position);
+      occluded.quaternion.copy(line.quaternion);
+      occluded.scale.copy(line.scale);
+      line.parent.add(occluded);
+    });
+  }
+  robot.userData.hiddenLines = style;
+  return robot;
+}
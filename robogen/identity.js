@@ -0,0 +1,187 @@
+import { createSeededRNG } from './rng.js';
+import { hexToHsl } from './color.js';
+import { partRole, paletteColor } from './palette.js';
+
+// ============================================================================
+// DESIGNATIONS & LORE (no Three.js dependency)
+// ============================================================================
+// Human-readable identity for a spec: a model designation ("KX-7 Warden"),
+// manufacturer, serial and a description usable as alt text. The class and
+// manufacturer follow the parts; numbers, model names and lore come from an
+// RNG keyed by the seed alone, drawn in a fixed order, so editing a robot
+// keeps its number and serial.
+
+// Manufacturers by torso style; torso types no one lists go to any of them
+export const MANUFACTURERS = [
+  { name: 'Krauss Heavy Works', code: 'K', torsos: ['industrial', 'plated', 'barrel'] },
+  { name: 'Vektor Dynamics', code: 'V', torsos: ['stealth', 'tapered', 'hex'] },
+  { name: 'Orison Biomechanics', code: 'O', torsos: ['spheroid', 'segmented', 'spinal'] },
+  { name: 'Tessera Foundry', code: 'T', torsos: ['box', 'cage'] },
+  { name: 'Nakamura-Reyes', code: 'N', torsos: ['box', 'hex', 'tapered', 'barrel'] },
+];
+
+const has = (spec, category, types) => spec.parts.some((p) => p.category === category && types.includes(p.type));
+
+// First class whose test passes, in key order. `letter` goes in the designation.
+export const ROBOT_CLASSES = {
+  artillery: {
+    letter: 'A',
+    test: (spec) => has(spec, 'arm', ['cannon']) || has(spec, 'head', ['turret']),
+    models: ['Bombard', 'Howitzer', 'Mortar', 'Battery', 'Siegebreaker'],
+    lore: ['Built to shell positions from beyond the front line.', 'Its crews call it the long argument.'],
+  },
+  assault: {
+    letter: 'X',
+    test: (spec) => has(spec, 'arm', ['blade', 'claw', 'tentacle']),
+    models: ['Reaver', 'Ripper', 'Cutter', 'Talon', 'Razor'],
+    lore: ['Made for close quarters, where it rarely loses.', 'Breach teams send it through the door first.'],
+  },
+  guardian: {
+    letter: 'G',
+    test: (spec) => has(spec, 'arm', ['shield']) || has(spec, 'head', ['horned']),
+    models: ['Warden', 'Bulwark', 'Aegis', 'Sentinel', 'Bastion'],
+    lore: ['It holds a line so others can move.', 'Convoys travel in its shadow.'],
+  },
+  crawler: {
+    letter: 'C',
+    test: (spec) => spec.locomotion === 'hexapod' || has(spec, 'leg', ['spider']),
+    models: ['Skitter', 'Creeper', 'Arachne', 'Tarantula', 'Harvestman'],
+    lore: ['It climbs rubble that stops wheeled units.', 'Survey crews deploy it into collapsed tunnels.'],
+  },
+  skimmer: {
+    letter: 'S',
+    test: (spec) => spec.locomotion === 'hover',
+    models: ['Drifter', 'Wisp', 'Zephyr', 'Glider'],
+    lore: ['It crosses water, mud and minefields alike.', 'Its thrusters kick up a telltale plume of dust.'],
+  },
+  hauler: {
+    letter: 'H',
+    test: (spec) => spec.locomotion === 'tracked',
+    models: ['Juggernaut', 'Rhino', 'Mule', 'Ox'],
+    lore: ['Slow, stubborn and very hard to stop.', 'Depots keep it running long past its service life.'],
+  },
+  runner: {
+    letter: 'R',
+    test: (spec) => ['wheeled', 'ball', 'triwheel'].includes(spec.locomotion),
+    models: ['Dasher', 'Roller', 'Courier', 'Sprinter'],
+    lore: ['It carries messages where radios fail.', 'Fast on roads, hopeless on stairs.'],
+  },
+  recon: {
+    letter: 'E',
+    test: (spec) => has(spec, 'head', ['scanner', 'cyclops', 'cluster', 'insect']) || has(spec, 'accessory', ['antenna']),
+    models: ['Watcher', 'Seeker', 'Spotter', 'Oracle'],
+    lore: ['It sees the enemy long before it is seen.', 'Its sensor logs are worth more than its chassis.'],
+  },
+  walker: {
+    letter: 'W',
+    test: () => true,
+    models: ['Strider', 'Sentry', 'Trooper', 'Drone', 'Walker'],
+    lore: ['A dependable frame, fielded by the thousand.', 'Cheap to build and easy to repair.'],
+  },
+};
+
+// Plain-language color of a palette hex, e.g. 'dark teal'
+export function colorName(hex) {
+  const [h, s, l] = hexToHsl(hex);
+  if (s < 0.15 || l < 0.08 || l > 0.92) return l < 0.2 ? 'black' : l > 0.8 ? 'white' : 'grey';
+  const hues = [[0.04, 'red'], [0.1, 'orange'], [0.18, 'yellow'], [0.45, 'green'], [0.54, 'teal'],
+    [0.7, 'blue'], [0.8, 'violet'], [0.92, 'magenta'], [1, 'red']];
+  const name = hues.find(([limit]) => h < limit)[1];
+  return l < 0.3 ? `dark ${name}` : l > 0.75 ? `pale ${name}` : name;
+}
+
+const NUMBERS = ['no', 'one', 'two', 'three', 'four', 'five', 'six'];
+const count = (n) => NUMBERS[n] || String(n);
+const article = (word) => (/^[aeiou]/i.test(word) ? `an ${word}` : `a ${word}`);
+const list = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items[0]);
+
+// 'a blade arm and two cannon arms'
+function armPhrase(arms) {
+  if (!arms.length) return 'no arms';
+  const counts = new Map();
+  arms.forEach((p) => counts.set(p.type, (counts.get(p.type) || 0) + 1));
+  return list([...counts].map(([type, n]) => (n === 1 ? `${article(type)} arm` : `${count(n)} ${type} arms`)));
+}
+
+const LOCOMOTION_WORDS = {
+  bipedal: 'bipedal',
+  tracked: 'tracked',
+  wheeled: 'wheeled',
+  hover: 'hovering',
+  quadruped: 'four-legged',
+  hexapod: 'six-legged',
+  ball: 'ball-drive',
+  triwheel: 'tri-wheeled',
+};
+
+// How it moves, from its drive parts
+function drivePhrase(spec) {
+  const drive = spec.parts.filter((p) => p.category === 'leg' || p.category === 'track');
+  if (!drive.length) return 'stands in place';
+  const n = count(drive.length);
+  const { category, type } = drive[0];
+  if (category === 'leg') return `walks on ${n} ${type} legs`;
+  if (type === 'tank') return `runs on ${n} tank tracks`;
+  if (type === 'wheel') return `rolls on ${n} wheels`;
+  if (type === 'hover') return `floats on ${n} hover thrusters`;
+  if (type === 'ball') return 'balances on a single drive ball';
+  if (type === 'triwheel') return `climbs on ${n} tri-wheel clusters`;
+  return `moves on ${n} ${type} units`;
+}
+
+// Roles whose own color, when a palette sets one, gets a mention
+const ROLE_WORDS = { limb: 'limbs are', weapon: 'weapons are', drive: 'drive is' };
+
+// 'Its limbs are orange and its drive is dark blue.', or null
+function roleColorPhrase(spec) {
+  const roles = spec.parts.map((p) => partRole(p.category, p.type));
+  const named = Object.keys(ROLE_WORDS).filter((role) => spec.palette[role] && roles.includes(role));
+  if (!named.length) return null;
+  return `${list(named.map((role) => `its ${ROLE_WORDS[role]} ${colorName(spec.palette[role])}`)).replace(/^i/, 'I')}.`;
+}
+
+const hex4 = (rng) => rng.int(0, 0xffff).toString(16).toUpperCase().padStart(4, '0');
+
+// { designation, model, class, manufacturer, serial, description }
+export function robotIdentity(spec) {
+  const rng = createSeededRNG(`identity:${spec.seed}`);
+  const number = rng.int(1, 99);
+  const modelRoll = rng.random();
+  const loreRoll = rng.random();
+  const makerRoll = rng.random();
+  const serial = `SN ${hex4(rng)}-${hex4(rng)}`;
+
+  const className = Object.keys(ROBOT_CLASSES).find((key) => ROBOT_CLASSES[key].test(spec));
+  const robotClass = ROBOT_CLASSES[className];
+  const byId = (id) => spec.parts.find((p) => p.id === id);
+  const torso = byId('torso'), head = byId('head');
+  const makers = MANUFACTURERS.filter((m) => torso && m.torsos.includes(torso.type));
+  const maker = (makers.length ? makers : MANUFACTURERS)[Math.floor(makerRoll * (makers.length || MANUFACTURERS.length))];
+  const model = robotClass.models[Math.floor(modelRoll * robotClass.models.length)];
+  const designation = `${maker.code}${robotClass.letter}-${number} ${model}`;
+
+  const rarity = spec.rarity && spec.rarity !== 'common' ? `${spec.rarity} ` : '';
+  const kind = `${rarity}${LOCOMOTION_WORDS[spec.locomotion] || spec.locomotion} ${className} robot`;
+  const arms = spec.parts.filter((p) => p.category === 'arm');
+  const extras = ['antenna', 'backpack'].filter((id) => byId(id)).map((id) => article(byId(id).type));
+  const armor = paletteColor(spec.palette, torso ? partRole('torso', torso.type) : 'armor');
+  const roleColors = roleColorPhrase(spec);
+  const sentences = [
+    `The ${designation} is ${article(kind)} built by ${maker.name}.`,
+    `Its ${torso ? `${torso.type} ` : ''}torso is ${colorName(armor)} with ${colorName(paletteColor(spec.palette, 'trim'))} trim` +
+      `${head ? `, topped by ${article(head.type)} head` : ''}.`,
+    `It has ${armPhrase(arms)} and ${drivePhrase(spec)}.`,
+    ...(roleColors ? [roleColors] : []),
+    ...(extras.length ? [`${list(extras).replace(/^a/, 'A')} complete${extras.length > 1 ? '' : 's'} the frame.`] : []),
+    robotClass.lore[Math.floor(loreRoll * robotClass.lore.length)],
+  ];
+
+  return {
+    designation,
+    model,
+    class: className,
+    manufacturer: maker.name,
+    serial,
+    description: sentences.join(' '),
+  };
+}
@@ -0,0 +1,23 @@
+export * from './core.js';
+export { getTessellation, createGeo } from './geometry.js';
+export { createWireframe, createSolidMesh, addToGroup, recolorPrimitive } from './wireframe.js';
+export {
+  HeadGenerators,
+  TorsoGenerators,
+  ArmGenerators,
+  LegGenerators,
+  TrackGenerators,
+  AccessoryGenerators,
+  PartGenerators
+} from './parts/index.js';
+export { PART_CATEGORIES, registerPart, registerPartPack } from './registry.js';
+export { buildRobotFromSpec, generateRobot } from './generator.js';
+export { createRobotCache } from './cache.js';
+export { mergeRobotGeometry } from './merge.js';
+export { HIDDEN_LINE_STYLES, applyHiddenLines } from './hiddenline.js';
+export { DEFAULT_LOD_THRESHOLDS, buildRobotSilhouette, buildRobotLOD, updateRobotLOD } from './lod.js';
+export { solveRobotSpec } from './solver.js';
+export { rigPart, createLocomotionController } from './rig.js';
+export { exportRobotGLTF, exportRobotGLB } from './export/gltf.js';
+export { buildPrintShells, countOpenEdges, exportRobotSTL, exportRobotOBJ } from './export/print.js';
+export { exportRobotBlueprint } from './export/blueprint.js';
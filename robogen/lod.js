@@ -0,0 +1,118 @@
+import * as THREE from 'three';
+import { getTessellation, createGeo } from './geometry.js';
+import { addToGroup } from './wireframe.js';
+import { createRobotCache, withRobotCache } from './cache.js';
+import { mergeRobotGeometry } from './merge.js';
+import { buildRobotFromSpec } from './generator.js';
+import { applyHiddenLines } from './hiddenline.js';
+
+// ============================================================================
+// LEVEL OF DETAIL
+// ============================================================================
+// An LOD robot is a Group holding one variant per level: 0 is a silhouette of
+// per-part bounding boxes, 1 - 3 are full builds at that tessellation detail.
+// Variants are built the first time they are needed and then kept, and only
+// the current one is visible. Levels switch on the robot's projected height
+// in pixels; `thresholds[i]` is the height between level i and i + 1, and a
+// switch only happens once the height is `hysteresis` past it.
+export const DEFAULT_LOD_THRESHOLDS = [40, 150, 350];
+
+// Each part as its rest-pose bounding box, merged into one body
+export function buildRobotSilhouette(spec, { solid = false, cache = null, hiddenLines = null } = {}) {
+  const scratch = createRobotCache();
+  const source = buildRobotFromSpec(spec, { detail: 1, cache: scratch });
+  source.updateMatrixWorld(true);
+
+  const tess = getTessellation(1);
+  const box = new THREE.Box3();
+  const size = new THREE.Vector3();
+  const center = new THREE.Vector3();
+  const robot = withRobotCache(cache, () => {
+    const group = new THREE.Group();
+    spec.parts.forEach((p, i) => {
+      box.setFromObject(source.children[i]).getSize(size);
+      box.getCenter(center);
+      const part = new THREE.Group();
+      addToGroup(part, createGeo.box(size.x, size.y, size.z, tess), p.color, center.toArray(), [0,0,0], [1,1,1], tess.edgeThreshold, solid || !!hiddenLines);
+      part.name = `${p.id}:${p.type}`;
+      part.userData.part = p.id;
+      group.add(part);
+    });
+    mergeRobotGeometry(group, { all: true });
+    return hiddenLines ? applyHiddenLines(group, hiddenLines) : group;
+  });
+  scratch.dispose();
+
+  robot.name = `robot:${spec.seed}`;
+  robot.userData.spec = spec;
+  robot.userData.detail = 0;
+  return robot;
+}
+
+// `cache`, `merge` and `hiddenLines` are passed on to every variant build
+export function buildRobotLOD(spec, { solid = false, cache = null, merge = false, hiddenLines = null, thresholds = DEFAULT_LOD_THRESHOLDS, hysteresis = 0.15 } = {}) {
+  if (thresholds.length !== 3) throw new Error('LOD thresholds must list 3 heights');
+  const lod = new THREE.Group();
+  lod.name = `lod:${spec.seed}`;
+  lod.userData.spec = spec;
+  lod.userData.lod = {
+    level: null,
+    current: null,
+    variants: [],
+    thresholds,
+    hysteresis,
+    options: { solid, cache, merge, hiddenLines },
+    bounds: null,
+  };
+  // The silhouette doubles as the bounds and as the variant shown until the
+  // first update picks a level
+  const silhouette = showLevel(lod, 0);
+  lod.userData.lod.bounds = new THREE.Box3().setFromObject(silhouette).getBoundingSphere(new THREE.Sphere());
+  lod.userData.lod.level = null;
+  return lod;
+}
+
+function showLevel(lod, level) {
+  const state = lod.userData.lod;
+  if (!state.variants[level]) {
+    const { solid, cache, merge, hiddenLines } = state.options;
+    const variant = level === 0
+      ? buildRobotSilhouette(lod.userData.spec, { solid, cache, hiddenLines })
+      : buildRobotFromSpec(lod.userData.spec, { detail: level, solid, cache, merge, hiddenLines });
+    state.variants[level] = variant;
+    lod.add(variant);
+  }
+  state.variants.forEach((variant, i) => { if (variant) variant.visible = i === level; });
+  state.level = level;
+  state.current = state.variants[level];
+  return state.current;
+}
+
+// Projected height of the robot's bounding sphere, in pixels
+const center = new THREE.Vector3();
+const eye = new THREE.Vector3();
+function screenHeight(lod, camera, viewportHeight) {
+  const { bounds } = lod.userData.lod;
+  center.copy(bounds.center).applyMatrix4(lod.matrixWorld);
+  const radius = bounds.radius * lod.matrixWorld.getMaxScaleOnAxis();
+  if (camera.isOrthographicCamera) {
+    return (2 * radius * camera.zoom / (camera.top - camera.bottom)) * viewportHeight;
+  }
+  const distance = Math.max(camera.near, center.distanceTo(camera.getWorldPosition(eye)));
+  return (radius / (distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2))) * viewportHeight;
+}
+
+// Picks and shows the level for this frame; returns the level. Call before
+// the locomotion controller's update so a freshly shown variant is posed.
+export function updateRobotLOD(lod, camera, viewportHeight) {
+  const state = lod.userData.lod;
+  const height = screenHeight(lod, camera, viewportHeight);
+  const { thresholds } = state;
+  // First update picks the level outright, later ones need the hysteresis
+  const h = state.level === null ? 0 : state.hysteresis;
+  let level = state.level || 0;
+  while (level < thresholds.length && height > thresholds[level] * (1 + h)) level++;
+  while (level > 0 && height < thresholds[level - 1] * (1 - h)) level--;
+  if (level !== state.level) showLevel(lod, level);
+  return level;
+}
@@ -0,0 +1,123 @@
+import * as THREE from 'three';
+import { cachedMaterial } from './cache.js';
+
+// ============================================================================
+// MERGED DRAW CALLS
+// ============================================================================
+// Bakes every primitive that moves with the same rigid body into one
+// LineSegments and one Mesh with vertex colors. Rigid bodies are the robot
+// itself (all unrigged parts) and each rig joint, so merged robots still
+// animate; `all: true` bakes the current pose into one body per robot.
+// Part groups stay in place (empty when all their primitives moved out) and
+// each merged geometry lists the vertex ranges of its parts in userData.parts.
+
+function rigidBodyOf(obj, robot) {
+  let body = obj.parent;
+  while (body !== robot && !body.userData.joint) body = body.parent;
+  return body;
+}
+
+function partIdOf(obj, robot) {
+  for (let o = obj; o && o !== robot; o = o.parent) {
+    if (o.userData.part !== undefined) return o.userData.part;
+  }
+  return null;
+}
+
+// Appends a primitive, transformed into its body's space, to `batch`
+function append(batch, obj, matrix, part) {
+  const position = obj.geometry.attributes.position;
+  const index = obj.geometry.index;
+  const color = obj.material.color;
+  const first = batch.positions.length / 3;
+  const v = new THREE.Vector3();
+  for (let i = 0; i < position.count; i++) {
+    v.fromBufferAttribute(position, i).applyMatrix4(matrix);
+    batch.positions.push(v.x, v.y, v.z);
+    batch.colors.push(color.r, color.g, color.b);
+  }
+  const start = obj.isMesh ? batch.indices.length : first;
+  if (obj.isMesh) {
+    // A mirroring matrix turns triangles inside out; swap two corners back
+    const flip = matrix.determinant() < 0;
+    const count = index ? index.count : position.count;
+    const at = (i) => first + (index ? index.getX(i) : i);
+    for (let i = 0; i < count; i += 3) {
+      batch.indices.push(at(i), at(flip ? i + 2 : i + 1), at(flip ? i + 1 : i + 2));
+    }
+  }
+  const count = (obj.isMesh ? batch.indices.length : batch.positions.length / 3) - start;
+  const last = batch.parts[batch.parts.length - 1];
+  if (last && last.part === part && last.start + last.count === start) last.count += count;
+  else batch.parts.push({ part, start, count });
+}
+
+function toGeometry(batch) {
+  const geometry = new THREE.BufferGeometry();
+  geometry.setAttribute('position', new THREE.Float32BufferAttribute(batch.positions, 3));
+  geometry.setAttribute('color', new THREE.Float32BufferAttribute(batch.colors, 3));
+  if (batch.indices.length) geometry.setIndex(batch.indices);
+  geometry.computeBoundingSphere();
+  return geometry;
+}
+
+const mergedLineMaterial = () => cachedMaterial('merged:line', () => new THREE.LineBasicMaterial({ vertexColors: true }));
+
+const mergedSolidMaterial = (template) => cachedMaterial(`merged:solid:${template.opacity}`, () => new THREE.MeshLambertMaterial({
+  vertexColors: true,
+  flatShading: true,
+  transparent: template.transparent,
+  opacity: template.opacity,
+  side: template.side,
+}));
+
+export function mergeRobotGeometry(robot, { all = false } = {}) {
+  if (robot.userData.merged) return robot;
+  robot.updateMatrixWorld(true);
+  const bodies = new Map();
+  const primitives = [];
+  robot.traverse((obj) => { if (obj.isLineSegments || obj.isMesh) primitives.push(obj); });
+
+  const toBody = new THREE.Matrix4();
+  primitives.forEach((obj) => {
+    const body = all ? robot : rigidBodyOf(obj, robot);
+    if (!bodies.has(body)) {
+      bodies.set(body, {
+        lines: { positions: [], colors: [], indices: [], parts: [] },
+        faces: { positions: [], colors: [], indices: [], parts: [], template: null },
+      });
+    }
+    const batch = bodies.get(body)[obj.isMesh ? 'faces' : 'lines'];
+    if (obj.isMesh) batch.template = batch.template || obj.material;
+    toBody.copy(body.matrixWorld).invert().multiply(obj.matrixWorld);
+    append(batch, obj, toBody, partIdOf(obj, robot));
+
+    // Drop the primitive and any wrapper groups it leaves empty
+    let parent = obj.parent;
+    parent.remove(obj);
+    while (parent !== body && !parent.children.length && !parent.userData.part && !parent.userData.joint) {
+      const up = parent.parent;
+      up.remove(parent);
+      parent = up;
+    }
+  });
+
+  // Solid first so the edges draw on top, as in unmerged robots
+  bodies.forEach(({ lines, faces }, body) => {
+    if (faces.positions.length) {
+      const mesh = new THREE.Mesh(toGeometry(faces), mergedSolidMaterial(faces.template));
+      mesh.name = 'merged:faces';
+      mesh.userData.parts = faces.parts;
+      body.add(mesh);
+    }
+    if (lines.positions.length) {
+      const edges = new THREE.LineSegments(toGeometry(lines), mergedLineMaterial());
+      edges.name = 'merged:edges';
+      edges.userData.parts = lines.parts;
+      body.add(edges);
+    }
+  });
+
+  robot.userData.merged = all ? 'all' : true;
+  return robot;
+}
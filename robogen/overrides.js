@@ -0,0 +1,162 @@
+import { createSeededRNG } from './rng.js';
+import { LocomotionCatalog, partTypes, locomotionPartTypes, pickWeighted, rollPartParams } from './catalog.js';
+import { DEFAULT_RANGES, MAX_ARMS, genomeFromSpec, mountedAccessory, specFromGenome } from './spec.js';
+import { PALETTE_KEYS } from './palette.js';
+import { catalogVersion, versionDriveTypes } from './versions.js';
+
+// ============================================================================
+// PART OVERRIDES (no Three.js dependency)
+// ============================================================================
+// Hand edits are kept as overrides on top of a generated spec instead of as a
+// new spec, so { seed, constraints, overrides } is enough to rebuild and share
+// an edited robot. Every key is optional:
+//   { torso, head: type,
+//     arms: type | { left, right }, armCount: 0 - 6,
+//     locomotion: plan, drive: leg/track type allowed by the plan,
+//     antenna, backpack: boolean, or an accessory type for that mount,
+//     scale, dice: { torsoWidth, ... } (multipliers as in DEFAULT_RANGES),
+//     palette: { primary, secondary, armor, joint, ... } (see palette.js) }
+// Anything an override adds or changes rolls its params from an RNG keyed by
+// the seed and what changed, so the same overrides always give the same robot.
+export const OVERRIDE_KEYS = ['torso', 'head', 'arms', 'armCount', 'locomotion', 'drive', 'antenna', 'backpack', 'scale', 'dice', 'palette'];
+
+const isHex = (c) => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c);
+
+function checkType(category, type) {
+  if (!partTypes(category).includes(type)) throw new Error(`Unknown ${category} type: ${type}`);
+  return type;
+}
+
+// Merges `patch` into `overrides`; keys set to undefined are removed
+export function mergeRobotOverrides(overrides = {}, patch = {}) {
+  const out = { ...overrides };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === undefined) delete out[key];
+    else if (key === 'dice' || key === 'palette') out[key] = { ...out[key], ...value };
+    else out[key] = value;
+  });
+  return out;
+}
+
+// Applies overrides to an unedited spec (e.g. generateRobotSpec's) and keeps
+// them on the result as `overrides`
+export function applyRobotOverrides(spec, overrides = {}) {
+  if (spec.overrides) throw new Error('Spec already has overrides; apply them to the unedited spec');
+  Object.keys(overrides).forEach((key) => {
+    if (!OVERRIDE_KEYS.includes(key)) throw new Error(`Unknown override: ${key}`);
+  });
+  const genome = JSON.parse(JSON.stringify(genomeFromSpec(spec)));
+  const version = catalogVersion(genome.catalog);
+  const { dice } = genome;
+  const rngFor = (what) => createSeededRNG(`override:${spec.seed}:${what}`);
+  const rollDie = (key, rng) => { if (dice[key] === undefined) dice[key] = rng.range(...DEFAULT_RANGES[key]); };
+
+  ['torso', 'head'].forEach((category) => {
+    const type = overrides[category];
+    if (type === undefined || type === genome[category].type) return;
+    genome[category] = { type: checkType(category, type), params: rollPartParams(category, type, rngFor(`${category}:${type}`)) };
+  });
+
+  // Arms: the count fills sockets from the top as generation does (an odd arm
+  // on the left), keeping the arms already in them; then types are set per side
+  const armTypes = typeof overrides.arms === 'string'
+    ? { left: overrides.arms, right: overrides.arms }
+    : { ...overrides.arms };
+  Object.entries(armTypes).forEach(([side, type]) => {
+    if (side !== 'left' && side !== 'right') throw new Error(`Unknown arm side: ${side}`);
+    checkType('arm', type);
+  });
+  let armCount = overrides.armCount;
+  if (armCount === undefined && overrides.arms !== undefined && !genome.arms.length) armCount = 2;
+  if (armCount !== undefined) {
+    if (!Number.isInteger(armCount) || armCount < 0 || armCount > MAX_ARMS) {
+      throw new Error(`armCount must be an integer within 0 - ${MAX_ARMS}`);
+    }
+    const rng = rngFor('arms');
+    const fallback = genome.arms.length ? genome.arms[0].type : armTypes.left || armTypes.right || pickWeighted(rng, version.parts.arm);
+    const arms = [];
+    for (let i = 0; i < armCount; i++) {
+      const socket = Math.floor(i / 2);
+      const side = i % 2 ? 'right' : 'left';
+      const kept = genome.arms.find((arm) => arm.side === side && arm.socket === socket);
+      const sibling = genome.arms.find((arm) => arm.side === side);
+      arms.push(kept || { side, socket, type: sibling ? sibling.type : fallback, params: null });
+    }
+    genome.arms = arms;
+    if (arms.length) ['armLength', 'armThickness'].forEach((key) => rollDie(key, rng));
+  }
+  genome.arms.forEach((arm) => {
+    const type = armTypes[arm.side] || arm.type;
+    if (type === arm.type && arm.params) return;
+    arm.type = type;
+    arm.params = rollPartParams('arm', type, rngFor(`arm.${arm.side}.${arm.socket}:${type}`));
+  });
+
+  // Locomotion: a new plan keeps the drive type when the plan allows it
+  const planType = overrides.locomotion === undefined ? genome.locomotion.type : overrides.locomotion;
+  const choices = locomotionPartTypes(planType);
+  const plan = LocomotionCatalog[planType];
+  let drive = overrides.drive;
+  if (drive !== undefined && !choices.includes(drive)) throw new Error(`${planType} locomotion cannot use ${plan.category} type: ${drive}`);
+  if (planType !== genome.locomotion.type || (drive !== undefined && drive !== genome.locomotion.part)) {
+    const rng = rngFor(`locomotion:${planType}`);
+    if (drive === undefined) {
+      drive = choices.includes(genome.locomotion.part)
+        ? genome.locomotion.part
+        : pickWeighted(rng, version.parts[plan.category], versionDriveTypes(version, planType));
+    }
+    const params = Array.from({ length: plan.count }, () => rollPartParams(plan.category, drive, rng));
+    genome.locomotion = { type: planType, part: drive, params };
+    ['legLength', 'legThickness'].forEach((key) => {
+      if (plan.category !== 'leg') delete dice[key];
+      else rollDie(key, rng);
+    });
+  }
+
+  // A type swaps the accessory on the mount, keeping the antenna's placement
+  if (overrides.antenna !== undefined) {
+    if (!overrides.antenna) genome.antenna = null;
+    else {
+      if (!genome.antenna) {
+        const rng = rngFor('antenna');
+        genome.antenna = { height: rng.range(0.3, 0.6), offset: rng.range(-0.2, 0.2) };
+      }
+      const current = genome.antenna.type || 'antenna';
+      if (typeof overrides.antenna === 'string' && overrides.antenna !== current) {
+        const { height, offset } = genome.antenna;
+        genome.antenna = { height, offset, ...mountedAccessory('head', overrides.antenna, rngFor(`antenna:${overrides.antenna}`)) };
+      }
+    }
+  }
+  if (overrides.backpack !== undefined) {
+    const current = genome.backpack && (genome.backpack.type || 'backpack');
+    if (typeof overrides.backpack === 'string') {
+      if (overrides.backpack !== current) {
+        genome.backpack = mountedAccessory('back', overrides.backpack, rngFor(`backpack:${overrides.backpack}`)) || true;
+      }
+    } else if (!overrides.backpack) genome.backpack = false;
+    else if (!genome.backpack) genome.backpack = true;
+  }
+
+  if (overrides.scale !== undefined) {
+    if (!(overrides.scale > 0)) throw new Error('scale must be a positive number');
+    dice.scale = overrides.scale;
+  }
+  Object.entries(overrides.dice || {}).forEach(([key, value]) => {
+    if (!DEFAULT_RANGES[key] || key === 'scale') throw new Error(`Unknown dimension: ${key}`);
+    if (!(value > 0)) throw new Error(`${key} must be a positive number`);
+    dice[key] = value;
+  });
+
+  Object.entries(overrides.palette || {}).forEach(([key, color]) => {
+    if (!PALETTE_KEYS.includes(key)) throw new Error(`Unknown palette color: ${key}`);
+    if (!isHex(color)) throw new Error(`${key} color must be a #rrggbb string`);
+    genome.palette[key] = color;
+  });
+
+  const edited = specFromGenome(genome, spec.seed);
+  if (spec.constraints) edited.constraints = spec.constraints;
+  if (spec.lineage) edited.lineage = spec.lineage;
+  edited.overrides = overrides;
+  return edited;
+}
@@ -0,0 +1,119 @@
+import { createSeededRNG } from './rng.js';
+import { PartCatalog } from './catalog.js';
+
+// ============================================================================
+// PALETTES (no Three.js dependency)
+// ============================================================================
+// A spec palette is flat: `primary` and `secondary` plus optional colors per
+// part role. A role without a color falls back to the palette key it lists
+// here, so { primary, secondary } alone colors robots as it always has.
+// `joint` colors the primitives at limb joints; unset, they keep the limb's.
+export const PALETTE_ROLES = {
+  armor: 'primary',
+  limb: 'primary',
+  weapon: 'primary',
+  drive: 'primary',
+  sensor: 'secondary',
+  trim: 'secondary',
+  joint: null,
+};
+
+export const PALETTE_KEYS = ['primary', 'secondary', ...Object.keys(PALETTE_ROLES)];
+
+// Role of a part type: its catalog entry's `role`, else its category's
+const CATEGORY_ROLES = { torso: 'armor', head: 'sensor', arm: 'limb', leg: 'drive', track: 'drive' };
+
+export function partRole(category, type) {
+  const entry = PartCatalog[category] && PartCatalog[category][type];
+  return (entry && entry.role) || CATEGORY_ROLES[category] || 'armor';
+}
+
+// Color for `role`, or null for a joint that keeps its limb's color
+export function paletteColor(palette, role) {
+  if (!(role in PALETTE_ROLES)) throw new Error(`Unknown palette role: ${role}`);
+  if (palette[role]) return palette[role];
+  return PALETTE_ROLES[role] ? palette[PALETTE_ROLES[role]] : null;
+}
+
+// ============================================================================
+// THEMES
+// ============================================================================
+// A theme sets palette keys to a color, or to a list that each robot picks
+// from with an RNG keyed by its seed. Keys a theme leaves out keep the
+// colors rolled from the seed. Faction liveries use single colors so every
+// unit of a faction matches.
+const isHex = (c) => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c);
+
+export const PaletteThemes = {
+  cga: {
+    primary: ['#55ffff', '#ff55ff', '#00aaaa', '#aa00aa'],
+    secondary: ['#ffffff', '#55ffff', '#ff55ff'],
+  },
+  arcade: {
+    primary: '#33ff66',
+    secondary: '#aaffcc',
+    joint: '#14802e',
+  },
+  military: {
+    primary: ['#4b5320', '#5d5b3a', '#6b6b47', '#3f4a2a'],
+    secondary: ['#8a7f5a', '#a39770', '#6e6650'],
+    weapon: '#3a3d40',
+    sensor: '#d9a21b',
+    joint: '#2b2b2b',
+  },
+  crimson: {
+    primary: '#b3202a',
+    secondary: '#e8e2d0',
+    weapon: '#2a2a2e',
+    sensor: '#ffd23f',
+    joint: '#55151a',
+  },
+  azure: {
+    primary: '#1f5fbf',
+    secondary: '#d0d8e8',
+    weapon: '#f2b233',
+    sensor: '#66e0ff',
+    joint: '#14305e',
+  },
+  jade: {
+    primary: '#1c8a5a',
+    secondary: '#c9b458',
+    weapon: '#e0e0e0',
+    sensor: '#ff5a36',
+    joint: '#0f4a31',
+  },
+};
+
+function checkTheme(name, theme) {
+  if (!theme || typeof theme !== 'object') throw new Error(`Palette theme ${name} must be an object`);
+  Object.entries(theme).forEach(([key, value]) => {
+    if (!PALETTE_KEYS.includes(key)) throw new Error(`Palette theme ${name}: unknown key ${key}`);
+    const colors = [].concat(value);
+    if (!colors.length || !colors.every(isHex)) throw new Error(`Palette theme ${name}: ${key} must be #rrggbb colors`);
+  });
+  return theme;
+}
+
+// Adds (or replaces) a theme, e.g. a faction's livery
+export function registerPaletteTheme(name, theme) {
+  if (typeof name !== 'string' || !name) throw new Error('Palette theme name must be a string');
+  PaletteThemes[name] = checkTheme(name, theme);
+  return PaletteThemes[name];
+}
+
+// A palette constraint is a theme name, or { theme?, ...colors } where colors
+// (a color or a list, as in themes) go on top of the theme. `rolled` is the
+// palette the seed rolled. Lists pick with an RNG per seed and key, never
+// the seed's main RNG, so a theme changes a robot's colors and nothing else.
+export function resolvePalette(constraint, seed, rolled) {
+  if (constraint == null) return rolled;
+  const { theme: name, ...colors } = typeof constraint === 'string' ? { theme: constraint } : constraint;
+  if (name !== undefined && !PaletteThemes[name]) throw new Error(`Unknown palette theme: ${name}`);
+  const rules = { ...(name !== undefined ? PaletteThemes[name] : {}), ...checkTheme('constraint', colors) };
+  const palette = { ...rolled };
+  PALETTE_KEYS.forEach((key) => {
+    if (rules[key] === undefined) return;
+    palette[key] = Array.isArray(rules[key]) ? createSeededRNG(`palette:${seed}:${key}`).pick(rules[key]) : rules[key];
+  });
+  return palette;
+}
@@ -0,0 +1,20 @@
+import { createGeo } from '../geometry.js';
+import { addToGroup } from '../wireframe.js';
+
+// ============================================================================
+// ACCESSORY GENERATORS
+// ============================================================================
+export const AccessoryGenerators = {
+  antenna: (group, height, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(0.02, 0.015, height, tess), color, [0, height/2, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(0.04, tess), color, [0, height + 0.04, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  backpack: (group, bw, bh, bd, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const trim = params.trimColor || color;
+    addToGroup(group, createGeo.box(bw, bh, bd, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(bw * 0.3, bh * 0.15, bd * 0.3, tess), trim, [bw * 0.25, bh * 0.3, bd * 0.4], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(bw * 0.3, bh * 0.15, bd * 0.3, tess), trim, [-bw * 0.25, bh * 0.3, bd * 0.4], [0,0,0], [1,1,1], et, solid);
+  },
+};
@@ -0,0 +1,107 @@
+import { createGeo } from '../geometry.js';
+import { addToGroup } from '../wireframe.js';
+
+// ============================================================================
+// ARM GENERATORS
+// ============================================================================
+export const ArmGenerators = {
+  standard: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(thick * 1.2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick, thick * 0.9, len, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.96, tess), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.7, len * 0.9, tess), color, [0, -len * 1.45, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.5, thick * 0.8, thick * 1.2, tess), color, [0, -len * 1.95, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  armored: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(thick * 2.5, thick * 1.5, thick * 2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2, len, thick * 1.5, tess), color, [0, -len * 0.55, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.octahedron(thick * 0.8, tess.box > 1 ? 1 : 0), color, [0, -len * 1.05, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.6, len * 0.9, thick * 1.3, tess), color, [0, -len * 1.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2, thick * 1.2, thick * 1.8, tess), color, [0, -len * 2, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  skeletal: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const sd = tess.box > 1 ? 1 : 0;
+    addToGroup(group, createGeo.icosahedron(thick * 0.8, sd), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.35, thick * 0.35, len * 0.6, tess), color, [0, -len * 0.55, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.4, tess), color, [0, -len * 0.25, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.4, tess), color, [0, -len * 0.85, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.icosahedron(thick * 0.56, sd), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, len * 0.5, tess), color, [0, -len * 1.45, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.35, tess), color, [0, -len * 1.2, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.35, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.tetrahedron(thick * 0.8, sd), color, [0, -len * 1.9, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  hydraulic: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(thick * 1.2, thick * 1.2, thick * 0.8, tess), color, [0, 0, 0], [Math.PI/2, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick, thick, len * 0.45, tess), color, [0, -len * 0.3, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.5, thick * 0.5, len * 0.6, tess), color, [thick * 0.5, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.96, thick * 0.96, thick * 0.64, tess), color, [0, -len * 0.7, 0], [Math.PI/2, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.9, thick * 0.9, len * 0.45, tess), color, [0, -len * 1.15, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.8, thick, thick * 1.4, tess), color, [0, -len * 1.75, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  tentacle: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const sd = tess.box > 1 ? 1 : 0;
+    const n = params.segmentCount;
+    const sl = len * 2 / n;
+    for (let i = 0; i < n; i++) {
+      const s = 1 - (i / n) * 0.5;
+      addToGroup(group, createGeo.octahedron(thick * s, sd), color, [0, -i * sl, 0], [0,0,0], [1,1,1], et, solid);
+      if (i < n - 1) {
+        const ns = 1 - ((i + 1) / n) * 0.5;
+        addToGroup(group, createGeo.cylinder(thick * 0.3 * s, thick * 0.3 * ns, sl * 0.7, tess, 1), color, [0, -i * sl - sl * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+      }
+    }
+  },
+  // NEW: Claw arm
+  claw: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(thick * 1.1, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.9, thick * 0.7, len, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.8, tess), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.6, thick * 0.5, len * 0.7, tess), color, [0, -len * 1.4, 0], [0,0,0], [1,1,1], et, solid);
+    // Claw fingers
+    const clawCount = 3;
+    for (let i = 0; i < clawCount; i++) {
+      const angle = (i / clawCount) * Math.PI * 2 - Math.PI / 2;
+      addToGroup(group, createGeo.cone(thick * 0.25, len * 0.4, tess), color, 
+        [Math.cos(angle) * thick * 0.4, -len * 1.9, Math.sin(angle) * thick * 0.4], 
+        [0.4 * Math.sin(angle), 0, -0.4 * Math.cos(angle)], [1,1,1], et, solid);
+    }
+  },
+  // NEW: Blade arm
+  blade: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(thick * 2, thick * 1.5, thick * 1.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.2, len, thick, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.4, thick * 0.8, thick * 1.2, tess), color, [0, -len * 1.05, 0], [0,0,0], [1,1,1], et, solid);
+    // Blade
+    addToGroup(group, createGeo.box(thick * 0.15, len * 1.2, thick * 2, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cone(thick * 0.1, len * 0.3, tess), color, [0, -len * 2.4, 0], [Math.PI, 0, 0], [1, 1, thick * 12], et, solid);
+  },
+  // NEW: Cannon arm
+  cannon: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(thick * 1.3, thick * 1.3, thick, tess), color, [0,0,0], [Math.PI/2,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 1.1, thick * 0.9, len * 0.6, tess), color, [0, -len * 0.35, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 1.0, thick * 1.0, thick * 0.5, tess), color, [0, -len * 0.7, 0], [0,0,0], [1,1,1], et, solid);
+    // Barrel
+    addToGroup(group, createGeo.cylinder(thick * 0.7, thick * 0.7, len * 1.2, tess), color, [0, -len * 1.35, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.torus(thick * 0.75, thick * 0.15, tess), color, [0, -len * 0.9, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.torus(thick * 0.75, thick * 0.1, tess), color, [0, -len * 1.9, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Shield arm
+  shield: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(thick * 1.0, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.7, len * 0.8, tess), color, [0, -len * 0.45, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.75, tess), color, [0, -len * 0.9, 0], [0,0,0], [1,1,1], et, solid);
+    // Shield plate
+    addToGroup(group, createGeo.box(thick * 4, len * 1.0, thick * 0.3, tess), color, [0, -len * 1.4, thick * 1.5], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, thick * 1.2, tess), color, [0, -len * 1.2, thick * 0.6], [Math.PI/2,0,0], [1,1,1], et, solid);
+  },
+};
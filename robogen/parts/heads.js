@@ -0,0 +1,99 @@
+import { createGeo } from '../geometry.js';
+import { addToGroup } from '../wireframe.js';
+
+// ============================================================================
+// HEAD GENERATORS
+// ============================================================================
+export const HeadGenerators = {
+  cube: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(size, size * 0.8, size * 0.7, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    const ah = params.antennaHeight;
+    addToGroup(group, createGeo.cylinder(0.02, 0.03, ah, tess), color, [size * 0.3, size * 0.4 + ah/2, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.octahedron(0.06, tess.box > 1 ? 1 : 0), color, [size * 0.3, size * 0.4 + ah + 0.06, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  dome: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(size * 0.5, size * 0.6, size * 0.4, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(size * 0.45, tess), color, [0, size * 0.35, 0], [0,0,0], [1,1,1], et, solid);
+    const sc = params.sensorCount;
+    for (let i = 0; i < sc; i++) {
+      const a = (i / sc) * Math.PI * 2;
+      addToGroup(group, createGeo.cylinder(0.04, 0.04, 0.15, tess), color, 
+        [Math.cos(a) * size * 0.35, size * 0.1, Math.sin(a) * size * 0.35],
+        [Math.PI / 6 * Math.cos(a), 0, -Math.PI / 6 * Math.sin(a)], [1,1,1], et, solid);
+    }
+  },
+  visor: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(size, size * 0.5, size * 0.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(size * 1.1, size * 0.15, size * 0.2, tess), color, [0, size * 0.05, size * 0.35], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(size * 0.2, size * 0.3, size * 0.15, tess), color, [0, size * 0.4, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  pyramid: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(size * 0.7, size * 0.2, size * 0.7, tess), color, [0, -size * 0.3, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cone(size * 0.5, size * 0.8, tess), color, [0, size * 0.2, 0], [0, Math.PI/4, 0], [1,1,1], et, solid);
+  },
+  turret: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(size * 0.4, size * 0.5, size * 0.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    const bc = params.barrelCount;
+    for (let i = 0; i < bc; i++) {
+      addToGroup(group, createGeo.cylinder(0.08, 0.08, size * 0.6, tess), color,
+        [(i - (bc-1)/2) * 0.15, 0, size * 0.5], [Math.PI/2, 0, 0], [1,1,1], et, solid);
+    }
+  },
+  cluster: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const sd = tess.box > 1 ? 1 : 0;
+    addToGroup(group, createGeo.octahedron(size * 0.25, sd), color, [0, size * 0.15, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(size * 0.4, size * 0.3, size * 0.4, tess), color, [0, -size * 0.1, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.tetrahedron(size * 0.15, sd), color, [size * 0.25, size * 0.2, size * 0.1], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.tetrahedron(size * 0.15, sd), color, [-size * 0.25, size * 0.2, size * 0.1], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Cyclops eye head
+  cyclops: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(size * 0.5, tess), color, [0, 0, 0], [0,0,0], [1, 0.8, 0.9], et, solid);
+    addToGroup(group, createGeo.cylinder(size * 0.25, size * 0.25, size * 0.15, tess), color, [0, 0, size * 0.4], [Math.PI/2, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(size * 0.18, tess), color, [0, 0, size * 0.5], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Flat wide scanner head
+  scanner: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(size * 1.4, size * 0.25, size * 0.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(size * 1.2, size * 0.08, size * 0.15, tess), color, [0, 0, size * 0.3], [0,0,0], [1,1,1], et, solid);
+    const lc = params.lensCount;
+    for (let i = 0; i < lc; i++) {
+      const x = (i - (lc-1)/2) * (size * 0.3);
+      addToGroup(group, createGeo.box(size * 0.08, size * 0.12, size * 0.08, tess), color, [x, size * 0.18, 0], [0,0,0], [1,1,1], et, solid);
+    }
+  },
+  // NEW: Insectoid compound head
+  insect: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const sd = tess.box > 1 ? 1 : 0;
+    addToGroup(group, createGeo.dodecahedron(size * 0.35, sd), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(size * 0.22, tess), color, [size * 0.28, size * 0.1, size * 0.15], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(size * 0.22, tess), color, [-size * 0.28, size * 0.1, size * 0.15], [0,0,0], [1,1,1], et, solid);
+    // Mandibles
+    addToGroup(group, createGeo.cone(size * 0.08, size * 0.3, tess), color, [size * 0.15, -size * 0.2, size * 0.2], [0.5, 0, 0.3], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cone(size * 0.08, size * 0.3, tess), color, [-size * 0.15, -size * 0.2, size * 0.2], [0.5, 0, -0.3], [1,1,1], et, solid);
+  },
+  // NEW: Blocky monitor head
+  monitor: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(size * 0.9, size * 0.7, size * 0.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(size * 0.7, size * 0.5, size * 0.05, tess), color, [0, 0, size * 0.26], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(size * 0.08, size * 0.12, size * 0.3, tess), color, [0, -size * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Horned demon head
+  horned: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(size * 0.7, size * 0.6, size * 0.65, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cone(size * 0.12, size * 0.5, tess), color, [size * 0.35, size * 0.4, -size * 0.1], [-0.3, 0, 0.4], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cone(size * 0.12, size * 0.5, tess), color, [-size * 0.35, size * 0.4, -size * 0.1], [-0.3, 0, -0.4], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(size * 0.5, size * 0.1, size * 0.15, tess), color, [0, size * 0.05, size * 0.35], [0,0,0], [1,1,1], et, solid);
+  },
+};
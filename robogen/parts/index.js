@@ -0,0 +1,18 @@
+import { HeadGenerators } from './heads.js';
+import { TorsoGenerators } from './torsos.js';
+import { ArmGenerators } from './arms.js';
+import { LegGenerators } from './legs.js';
+import { TrackGenerators } from './tracks.js';
+import { AccessoryGenerators } from './accessories.js';
+
+export { HeadGenerators, TorsoGenerators, ArmGenerators, LegGenerators, TrackGenerators, AccessoryGenerators };
+
+// Spec part category -> generator table
+export const PartGenerators = {
+  head: HeadGenerators,
+  torso: TorsoGenerators,
+  arm: ArmGenerators,
+  leg: LegGenerators,
+  track: TrackGenerators,
+  accessory: AccessoryGenerators,
+};
@@ -0,0 +1,91 @@
+import { createGeo } from '../geometry.js';
+import { addToGroup } from '../wireframe.js';
+
+// ============================================================================
+// LEG GENERATORS
+// ============================================================================
+export const LegGenerators = {
+  standard: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(thick * 1.1, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick, thick * 0.85, len, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.99, tess), color, [0, -len, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.6, len * 0.95, tess), color, [0, -len * 1.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.7, tess), color, [0, -len * 2, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2, thick * 0.6, thick * 3, tess), color, [0, -len * 2.15, thick * 0.5], [0,0,0], [1,1,1], et, solid);
+  },
+  digitigrade: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const sd = tess.box > 1 ? 1 : 0;
+    addToGroup(group, createGeo.sphere(thick * 1.1, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick, thick * 0.8, len * 0.7, tess), color, [0, -len * 0.35, thick * 0.2], [-0.2, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.icosahedron(thick * 0.8, sd), color, [0, -len * 0.75, thick * 0.35], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.7, thick * 0.5, len * 0.8, tess), color, [0, -len * 1.2, -thick * 0.1], [0.4, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.6, tess), color, [0, -len * 1.65, -thick * 0.4], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.4, thick * 0.6, len * 0.5, tess), color, [0, -len * 1.9, -thick * 0.1], [0.8, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cone(thick * 0.4, thick * 1.2, tess), color, [0, -len * 2.05, thick * 0.4], [Math.PI/2, 0, 0], [1,1,1], et, solid);
+  },
+  armored: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(thick * 2, thick * 1.2, thick * 2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2.2, len, thick * 1.8, tess), color, [0, -len * 0.55, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2.5, thick * 1.5, thick * 2.2, tess), color, [0, -len * 1.1, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2, len * 0.95, thick * 1.6, tess), color, [0, -len * 1.6, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2.5, thick * 0.8, thick * 3.5, tess), color, [0, -len * 2.15, thick * 0.3], [0,0,0], [1,1,1], et, solid);
+  },
+  piston: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(thick * 1.4, thick * 1.4, thick * 0.8, tess), color, [0, 0, 0], [0, 0, Math.PI/2], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 1.2, thick * 1.2, len * 0.5, tess), color, [0, -len * 0.3, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.8, thick * 0.8, len * 0.7, tess), color, [0, -len * 0.85, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, len * 0.8, tess), color, [thick * 0.8, -len * 0.6, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.3, len * 0.8, tess), color, [-thick * 0.8, -len * 0.6, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 1.1, thick * 0.9, thick * 0.6, tess), color, [0, -len * 1.35, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.7, thick * 0.5, len * 0.6, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2.2, thick * 0.5, thick * 3, tess), color, [0, -len * 2.05, thick * 0.4], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Spider/multi-jointed leg
+  spider: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(thick * 1.0, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    // First segment - goes outward
+    addToGroup(group, createGeo.cylinder(thick * 0.6, thick * 0.5, len * 0.5, tess), color, [0, -len * 0.15, thick * 0.3], [-0.8, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.55, tess), color, [0, -len * 0.35, thick * 0.55], [0,0,0], [1,1,1], et, solid);
+    // Second segment - goes down
+    addToGroup(group, createGeo.cylinder(thick * 0.45, thick * 0.35, len * 0.8, tess), color, [0, -len * 0.8, thick * 0.4], [0.3, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.4, tess), color, [0, -len * 1.25, thick * 0.2], [0,0,0], [1,1,1], et, solid);
+    // Third segment - tip
+    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.15, len * 0.6, tess), color, [0, -len * 1.6, thick * 0.1], [0.1, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cone(thick * 0.2, thick * 0.4, tess), color, [0, -len * 1.95, thick * 0.05], [Math.PI, 0, 0], [1,1,1], et, solid);
+  },
+  // NEW: Hooved/animal leg
+  hooved: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(thick * 1.2, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 1.0, thick * 0.7, len * 0.6, tess), color, [0, -len * 0.35, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.75, tess), color, [0, -len * 0.7, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.5, thick * 0.4, len * 0.9, tess), color, [0, -len * 1.2, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.45, tess), color, [0, -len * 1.7, 0], [0,0,0], [1,1,1], et, solid);
+    // Hoof
+    addToGroup(group, createGeo.cylinder(thick * 0.6, thick * 0.8, thick * 0.5, tess), color, [0, -len * 2.0, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Blocky/chunky leg
+  blocky: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(thick * 1.8, thick * 1.0, thick * 1.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.5, len * 0.9, thick * 1.4, tess), color, [0, -len * 0.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.8, thick * 0.8, thick * 1.6, tess), color, [0, -len * 1.0, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 1.4, len * 0.85, thick * 1.3, tess), color, [0, -len * 1.5, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(thick * 2.0, thick * 0.6, thick * 2.8, tess), color, [0, -len * 2.0, thick * 0.3], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Stilts/thin leg
+  stilts: (group, len, thick, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(thick * 1.0, thick * 0.8, thick * 0.6, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.4, thick * 0.35, len * 1.3, tess), color, [0, -len * 0.7, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.sphere(thick * 0.5, tess), color, [0, -len * 1.35, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(thick * 0.3, thick * 0.25, len * 0.8, tess), color, [0, -len * 1.8, 0], [0,0,0], [1,1,1], et, solid);
+    // Pointed foot
+    addToGroup(group, createGeo.cone(thick * 0.5, thick * 0.8, tess), color, [0, -len * 2.3, 0], [Math.PI, 0, 0], [1,1,1], et, solid);
+  },
+};
@@ -0,0 +1,110 @@
+import { createGeo } from '../geometry.js';
+import { addToGroup } from '../wireframe.js';
+
+// ============================================================================
+// TORSO GENERATORS
+// ============================================================================
+export const TorsoGenerators = {
+  box: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(w, h, d, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.6, 0.15, d * 0.3, tess), color, [0, h * 0.3, d * 0.4], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.4, h * 0.5, d * 0.15, tess), color, [0, -h * 0.1, d * 0.35], [0,0,0], [1,1,1], et, solid);
+  },
+  hex: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.prism(w * 0.5, h, 6, tess.cylinderHeight), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.prism(w * 0.55, h * 0.1, 6), color, [0, h * 0.55, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.prism(w * 0.55, h * 0.1, 6), color, [0, -h * 0.55, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  tapered: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(w * 0.35, w * 0.55, h, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 1.3, h * 0.15, d * 0.8, tess), color, [0, h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.5, h * 0.1, d * 0.4, tess), color, [0, -h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  segmented: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const n = params.segmentCount;
+    const sh = h / n;
+    for (let i = 0; i < n; i++) {
+      const y = (i - (n-1)/2) * sh;
+      const s = 1 - Math.abs(i - (n-1)/2) * 0.1;
+      addToGroup(group, createGeo.box(w * s, sh * 0.85, d * s, tess), color, [0, y, 0], [0,0,0], [1,1,1], et, solid);
+    }
+  },
+  spheroid: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(w * 0.6, tess), color, [0, 0, 0], [0, 0, 0], [1, h/w * 0.8, d/w], et, solid);
+    addToGroup(group, createGeo.torus(w * 0.35, 0.06, tess), color, [0, h * 0.35, 0], [Math.PI/2, 0, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(w * 0.25, w * 0.35, h * 0.2, tess), color, [0, -h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  industrial: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(w, h * 0.7, d, tess), color, [0, -h * 0.1, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 1.2, h * 0.25, d * 1.1, tess), color, [0, h * 0.35, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(0.06, 0.06, h * 0.4, tess), color, [w * 0.5, 0, d * 0.3], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(0.06, 0.06, h * 0.4, tess), color, [-w * 0.5, 0, d * 0.3], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Barrel/drum torso
+  barrel: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(w * 0.55, w * 0.55, h, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    // Bands
+    addToGroup(group, createGeo.torus(w * 0.58, 0.04, tess), color, [0, h * 0.35, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.torus(w * 0.58, 0.04, tess), color, [0, -h * 0.35, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.torus(w * 0.58, 0.04, tess), color, [0, 0, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Angular stealth torso
+  stealth: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    // Main angular body
+    addToGroup(group, createGeo.box(w, h * 0.5, d * 0.7, tess), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
+    // Angled top
+    addToGroup(group, createGeo.box(w * 0.8, h * 0.3, d * 0.5, tess), color, [0, h * 0.35, d * 0.1], [0.2,0,0], [1,1,1], et, solid);
+    // Angled bottom
+    addToGroup(group, createGeo.box(w * 0.7, h * 0.25, d * 0.4, tess), color, [0, -h * 0.35, d * 0.05], [-0.15,0,0], [1,1,1], et, solid);
+    // Side panels
+    addToGroup(group, createGeo.box(w * 0.15, h * 0.6, d * 0.5, tess), color, [w * 0.55, 0, 0], [0,0,0.1], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.15, h * 0.6, d * 0.5, tess), color, [-w * 0.55, 0, 0], [0,0,-0.1], [1,1,1], et, solid);
+  },
+  // NEW: Spinal/vertebrae torso
+  spinal: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const segments = params.segmentCount;
+    const segH = h / segments;
+    for (let i = 0; i < segments; i++) {
+      const y = (i - (segments-1)/2) * segH;
+      const scale = 0.7 + Math.sin((i / segments) * Math.PI) * 0.3;
+      addToGroup(group, createGeo.octahedron(w * 0.35 * scale, 0), color, [0, y, 0], [0,0,0], [1, 0.6, 1], et, solid);
+    }
+    // Spine
+    addToGroup(group, createGeo.cylinder(w * 0.08, w * 0.08, h * 0.9, tess), color, [0, 0, -d * 0.3], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Cage/skeletal torso
+  cage: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    // Top and bottom plates
+    addToGroup(group, createGeo.box(w, h * 0.1, d, tess), color, [0, h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.8, h * 0.1, d * 0.8, tess), color, [0, -h * 0.45, 0], [0,0,0], [1,1,1], et, solid);
+    // Ribs
+    const ribCount = params.ribCount;
+    for (let i = 0; i < ribCount; i++) {
+      const y = h * 0.3 - i * (h * 0.6 / (ribCount - 1));
+      addToGroup(group, createGeo.torus(w * 0.4, 0.03, tess), color, [0, y, d * 0.1], [0,0,0], [1, 0.6, 1], et, solid);
+    }
+    // Core
+    addToGroup(group, createGeo.sphere(w * 0.2, tess), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Layered/plated torso  
+  plated: (group, w, h, d, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.box(w * 0.6, h * 0.8, d * 0.5, tess), color, [0, 0, 0], [0,0,0], [1,1,1], et, solid);
+    // Front plates
+    addToGroup(group, createGeo.box(w * 0.9, h * 0.35, d * 0.15, tess), color, [0, h * 0.2, d * 0.35], [0.1,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.85, h * 0.35, d * 0.15, tess), color, [0, -h * 0.2, d * 0.3], [-0.1,0,0], [1,1,1], et, solid);
+    // Side plates
+    addToGroup(group, createGeo.box(w * 0.15, h * 0.7, d * 0.6, tess), color, [w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.15, h * 0.7, d * 0.6, tess), color, [-w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
+  },
+};
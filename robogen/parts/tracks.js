@@ -0,0 +1,66 @@
+import { createGeo } from '../geometry.js';
+import { addToGroup } from '../wireframe.js';
+
+// ============================================================================
+// LOCOMOTION GENERATORS (tracks, wheels, hover pads)
+// ============================================================================
+export const TrackGenerators = {
+  tank: (group, w, len, h, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const wc = params.wheelCount;
+    const ws = len / (wc - 1);
+    addToGroup(group, createGeo.box(w, h * 0.15, len, tess), color, [0, h * 0.4, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w, h * 0.15, len, tess), color, [0, -h * 0.4, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.1, h, len, tess), color, [w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.box(w * 0.1, h, len, tess), color, [-w * 0.45, 0, 0], [0,0,0], [1,1,1], et, solid);
+    // Road wheels and end sprockets share the X axle axis; userData.spin marks them for the rig
+    for (let i = 0; i < wc; i++) {
+      addToGroup(group, createGeo.cylinder(h * 0.45, h * 0.45, w * 0.9, tess), color, [0, 0, -len/2 + i * ws], [0, 0, Math.PI/2], [1,1,1], et, solid).userData.spin = h * 0.45;
+    }
+    addToGroup(group, createGeo.cylinder(h * 0.5, h * 0.5, w, tess), color, [0, 0, len/2], [0, 0, Math.PI/2], [1,1,1], et, solid).userData.spin = h * 0.5;
+    addToGroup(group, createGeo.cylinder(h * 0.5, h * 0.5, w, tess), color, [0, 0, -len/2], [0, 0, Math.PI/2], [1,1,1], et, solid).userData.spin = h * 0.5;
+  },
+  wheel: (group, radius, width, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.torus(radius * 0.85, radius * 0.15, tess), color, [0, 0, 0], [0, Math.PI/2, 0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(radius * 0.3, radius * 0.3, width, tess), color, [0, 0, 0], [0, 0, Math.PI/2], [1,1,1], et, solid);
+    const sc = params.spokeCount;
+    for (let i = 0; i < sc; i++) {
+      const a = (i / sc) * Math.PI * 2;
+      addToGroup(group, createGeo.cylinder(radius * 0.05, radius * 0.05, radius * 0.6, tess), color,
+        [0, Math.cos(a) * radius * 0.4, Math.sin(a) * radius * 0.4], [0, 0, a + Math.PI/2], [1,1,1], et, solid);
+    }
+  },
+  hover: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.cylinder(size * 0.5, size * 0.6, size * 0.3, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.torus(size * 0.45, size * 0.08, tess), color, [0, -size * 0.1, 0], [0,0,0], [1,1,1], et, solid);
+    const vc = params.ventCount;
+    for (let i = 0; i < vc; i++) {
+      const a = (i / vc) * Math.PI * 2;
+      addToGroup(group, createGeo.box(size * 0.15, size * 0.25, size * 0.08, tess), color,
+        [Math.cos(a) * size * 0.35, 0, Math.sin(a) * size * 0.35], [0, -a, 0], [1,1,1], et, solid);
+    }
+  },
+  // NEW: Ball/sphere locomotion
+  ball: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    addToGroup(group, createGeo.sphere(size * 0.5, tess), color, [0,0,0], [0,0,0], [1,1,1], et, solid).userData.spin = size * 0.5;
+    // Housing
+    addToGroup(group, createGeo.torus(size * 0.35, size * 0.08, tess), color, [0, size * 0.25, 0], [Math.PI/2,0,0], [1,1,1], et, solid);
+    addToGroup(group, createGeo.cylinder(size * 0.4, size * 0.5, size * 0.15, tess), color, [0, size * 0.35, 0], [0,0,0], [1,1,1], et, solid);
+  },
+  // NEW: Tri-wheel cluster, wheels spread in the rolling (YZ) plane
+  triwheel: (group, size, color, params, tess, solid) => {
+    const et = tess.edgeThreshold;
+    const wheelR = size * 0.3;
+    for (let i = 0; i < 3; i++) {
+      const a = (i / 3) * Math.PI * 2 + Math.PI / 2;
+      const z = Math.cos(a) * size * 0.35;
+      const y = Math.sin(a) * size * 0.35;
+      addToGroup(group, createGeo.cylinder(wheelR, wheelR, size * 0.15, tess), color, [0, y, z], [0,0,Math.PI/2], [1,1,1], et, solid).userData.spin = wheelR;
+    }
+    // Center hub
+    addToGroup(group, createGeo.cylinder(size * 0.15, size * 0.15, size * 0.2, tess), color, [0,0,0], [0,0,Math.PI/2], [1,1,1], et, solid);
+  },
+};
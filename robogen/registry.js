@@ -0,0 +1,161 @@
+import * as THREE from 'three';
+import { createSeededRNG } from './rng.js';
+import { PartCatalog, LocomotionCatalog, RARITY_TIERS, ACCESSORY_MOUNTS } from './catalog.js';
+import { PALETTE_ROLES } from './palette.js';
+import { DAMAGE_TYPES } from './stats.js';
+import { CATALOG_VERSIONS } from './versions.js';
+import { getTessellation, createGeo } from './geometry.js';
+import { addToGroup } from './wireframe.js';
+import { createRobotCache, withRobotCache } from './cache.js';
+import { PartGenerators } from './parts/index.js';
+
+// ============================================================================
+// PART REGISTRY
+// ============================================================================
+// Adds part types without editing the generator tables. A registered
+// generator takes one options object instead of the built-ins' positional
+// arguments:
+//   generator({ group, size, color, params, tess, solid, geo, add })
+//   add(geometry, { position, rotation, scale, color }) -> the primitive
+// `geo` is createGeo, and `add` fills in the edge threshold, solid flag and
+// part color. `meta` holds the catalog fields (roll, joints, gait, role,
+// stats, rarity, weight) plus:
+//   mount     accessories: 'head' or 'back' (see ACCESSORY_MOUNTS)
+//   plans     legs / tracks: locomotion plans that may use the type
+//   replace   true to overwrite a registered type that no catalog version
+//             pins (pinned types must keep building what their seeds made)
+// Every registration builds the part once at a nominal size and rejects
+// empty output or output far outside the part's size.
+export const PART_CATEGORIES = Object.keys(PartGenerators);
+
+const META_KEYS = ['roll', 'joints', 'gait', 'role', 'stats', 'rarity', 'weight', 'mount', 'plans', 'replace'];
+
+// Nominal sizes to test with (scale 1, every die at 1); drive sizes follow
+// the locomotion plan's layout
+const TEST_SIZES = {
+  head: [0.6],
+  torso: [0.8, 1.2, 0.5],
+  arm: [0.6, 0.12],
+  leg: [0.8, 0.15],
+  'accessory:head': [0.45],
+  'accessory:back': [0.48, 0.6, 0.25],
+  'track:tracked': [0.4, 1.5, 0.5],
+  'track:wheeled': [0.35, 0.15],
+  'track:hover': [0.5],
+  'track:ball': [0.9],
+  'track:triwheel': [0.7],
+};
+
+// Output may reach this many times the part's largest dimension from its origin
+const BOUND_FACTOR = 3;
+
+// Wraps an options-object generator in the built-ins' positional signature
+function adaptGenerator(generator) {
+  return (group, ...args) => {
+    const [color, params, tess, solid] = args.slice(-4);
+    const size = args.slice(0, -4);
+    const add = (geometry, { position = [0, 0, 0], rotation = [0, 0, 0], scale = [1, 1, 1], color: c = color } = {}) =>
+      addToGroup(group, geometry, c, position, rotation, scale, tess.edgeThreshold, solid);
+    generator({ group, size, color, params, tess, solid, geo: createGeo, add });
+  };
+}
+
+function checkMeta(category, name, meta) {
+  const fail = (message) => { throw new Error(`Part ${category}:${name}: ${message}`); };
+  Object.keys(meta).forEach((key) => { if (!META_KEYS.includes(key)) fail(`unknown meta key ${key}`); });
+  if (meta.roll !== undefined && typeof meta.roll !== 'function') fail('roll must be a function of an RNG');
+  if (meta.rarity !== undefined && !RARITY_TIERS[meta.rarity]) fail(`unknown rarity ${meta.rarity}`);
+  if (meta.weight !== undefined && !(meta.weight >= 0)) fail('weight must be a number >= 0');
+  if (meta.role !== undefined && !(meta.role in PALETTE_ROLES)) fail(`unknown palette role ${meta.role}`);
+  if (meta.stats && meta.stats.damage && !DAMAGE_TYPES[meta.stats.damageType]) fail(`unknown damage type ${meta.stats.damageType}`);
+  if (meta.joints !== undefined) {
+    if (category !== 'arm' && category !== 'leg') fail('only arms and legs have joints');
+    Object.values(meta.joints).forEach((pivot) => {
+      if (!Array.isArray(pivot) || pivot.length !== 2 || !pivot.every(Number.isFinite)) fail('joints must be [y, z] pivots');
+    });
+  }
+  if (category === 'accessory' && !ACCESSORY_MOUNTS[meta.mount]) fail(`mount must be one of ${Object.keys(ACCESSORY_MOUNTS).join(', ')}`);
+  if (category !== 'accessory' && meta.mount !== undefined) fail('only accessories have a mount');
+  (meta.plans || []).forEach((plan) => {
+    if (!LocomotionCatalog[plan]) fail(`unknown locomotion plan ${plan}`);
+    if (LocomotionCatalog[plan].category !== category) fail(`${plan} locomotion does not use ${category} parts`);
+  });
+  if (category === 'track' && !(meta.plans && meta.plans.length)) fail('track types need `plans` to say which locomotion uses them');
+}
+
+// Builds the part at its nominal size and checks what comes out
+function checkOutput(category, name, generator, meta) {
+  const fail = (message) => { throw new Error(`Part ${category}:${name}: ${message}`); };
+  const size = TEST_SIZES[category === 'accessory' ? `accessory:${meta.mount}` : category === 'track' ? `track:${meta.plans[0]}` : category];
+  const params = meta.roll ? meta.roll(createSeededRNG(`registerPart:${category}:${name}`)) : {};
+  const scratch = createRobotCache();
+  try {
+    const group = withRobotCache(scratch, () => {
+      const g = new THREE.Group();
+      generator(g, ...size, '#ffffff', params, getTessellation(1), true);
+      return g;
+    });
+    let vertices = 0;
+    group.traverse((obj) => { if (obj.geometry) vertices += obj.geometry.attributes.position.count; });
+    if (!vertices) fail('generator added no geometry');
+    const box = new THREE.Box3().setFromObject(group);
+    const limit = BOUND_FACTOR * Math.max(...size);
+    if (![box.min, box.max].every((v) => v.toArray().every(Number.isFinite))) fail('geometry has non-finite positions');
+    if ([box.min, box.max].some((v) => v.toArray().some((c) => Math.abs(c) > limit))) {
+      fail(`geometry reaches past ${limit.toFixed(2)} units from the part origin at nominal size ${JSON.stringify(size)}`);
+    }
+  } finally {
+    scratch.dispose();
+  }
+}
+
+function checkPart(category, name, generator, meta) {
+  if (!PART_CATEGORIES.includes(category)) throw new Error(`Unknown part category: ${category}`);
+  if (typeof name !== 'string' || !/^[a-z][a-z0-9-]*$/i.test(name)) throw new Error(`Part name must be a word: ${name}`);
+  if (typeof generator !== 'function') throw new Error(`Part ${category}:${name}: generator must be a function`);
+  if (PartCatalog[category][name] && !meta.replace) throw new Error(`Part ${category}:${name} is already registered`);
+  if (meta.replace) {
+    const pinnedBy = Object.keys(CATALOG_VERSIONS).find((version) => CATALOG_VERSIONS[version].parts[category]?.[name]);
+    if (pinnedBy) throw new Error(`Part ${category}:${name} is pinned by catalog version ${pinnedBy}; register it under a new name`);
+  }
+  checkMeta(category, name, meta);
+  const adapted = adaptGenerator(generator);
+  checkOutput(category, name, adapted, meta);
+  return adapted;
+}
+
+// Adds (or, with `replace`, replaces) a part type and returns its catalog
+// entry. Overrides can use it straight away; random picks only once a
+// catalog version is pinned with it (registerCatalogVersion), at its weight.
+export function registerPart(category, name, generator, meta = {}) {
+  return install(category, name, checkPart(category, name, generator, meta), meta);
+}
+
+function install(category, name, adapted, meta) {
+  const { plans = [], replace, ...entry } = meta;
+  PartCatalog[category][name] = entry;
+  PartGenerators[category][name] = adapted;
+  plans.forEach((planName) => {
+    const plan = LocomotionCatalog[planName];
+    if (plan.type) {
+      plan.types = [plan.type];
+      delete plan.type;
+    }
+    if (plan.types && !plan.types.includes(name)) plan.types.push(name);
+  });
+  return entry;
+}
+
+// A pack mirrors the catalog: { [category]: { [name]: { generator, ...meta } } }.
+// Every part is checked before any is registered. Returns 'category:name' keys.
+export function registerPartPack(pack) {
+  const parts = [];
+  Object.entries(pack).forEach(([category, types]) => {
+    Object.entries(types).forEach(([name, { generator, ...meta }]) => parts.push({ category, name, generator, meta }));
+  });
+  const adapted = parts.map(({ category, name, generator, meta }) => checkPart(category, name, generator, meta));
+  return parts.map(({ category, name, meta }, i) => {
+    install(category, name, adapted[i], meta);
+    return `${category}:${name}`;
+  });
+}
@@ -0,0 +1,206 @@
+import * as THREE from 'three';
+import { PartCatalog } from './catalog.js';
+
+// ============================================================================
+// RIGGING
+// ============================================================================
+// Part generators lay limbs out straight down from the mount point, so a rig
+// can be recovered from positions alone: each primitive is handed to the
+// deepest joint whose pivot sits above it. Joints are plain named Groups
+// (userData.joint) so the hierarchy survives cloning and export.
+const ROOT_JOINTS = { arm: 'shoulder', leg: 'hip', track: 'mount' };
+
+function createJoint(name, position = [0, 0, 0]) {
+  const joint = new THREE.Group();
+  joint.name = name;
+  joint.userData.joint = name;
+  joint.position.set(...position);
+  return joint;
+}
+
+function rigLimb(group, part, pivots) {
+  const [len, thick] = part.size;
+  const root = createJoint(ROOT_JOINTS[part.category]);
+  const chain = [{ joint: root, y: 0, z: 0 }];
+  Object.entries(pivots).forEach(([name, [py, pz]]) => {
+    const prev = chain[chain.length - 1];
+    const y = py * len, z = pz * thick;
+    const joint = createJoint(name, [0, y - prev.y, z - prev.z]);
+    prev.joint.add(joint);
+    chain.push({ joint, y, z });
+  });
+
+  const eps = len * 0.01;
+  [...group.children].forEach((child) => {
+    let owner = chain[0];
+    chain.forEach((link) => { if (child.position.y <= link.y + eps) owner = link; });
+    child.position.y -= owner.y;
+    child.position.z -= owner.z;
+    owner.joint.add(child);
+  });
+  group.add(root);
+}
+
+// Wheels spin whole; tracks spin each primitive tagged with userData.spin
+function rigAxles(group, part) {
+  const mount = createJoint(ROOT_JOINTS.track);
+  if (part.type === 'wheel') {
+    const axle = createJoint('axle');
+    axle.userData.radius = part.size[0];
+    [...group.children].forEach((child) => axle.add(child));
+    mount.add(axle);
+  } else {
+    [...group.children].forEach((child) => {
+      if (child.userData.spin) {
+        const axle = createJoint('axle', child.position.toArray());
+        axle.userData.radius = child.userData.spin;
+        child.position.set(0, 0, 0);
+        axle.add(child);
+        mount.add(axle);
+      } else {
+        mount.add(child);
+      }
+    });
+  }
+  group.add(mount);
+}
+
+const limbJoints = (part) => {
+  const entry = PartCatalog[part.category] && PartCatalog[part.category][part.type];
+  return (part.category === 'arm' || part.category === 'leg') && entry ? entry.joints : undefined;
+};
+
+const isRigged = (part) => part.category === 'track' || Boolean(limbJoints(part));
+
+// Primitives centred on a limb's pivots, shoulder or hip included: the joint
+// housings a palette's joint color paints
+export function jointPrimitives(group, part) {
+  const joints = limbJoints(part);
+  if (!joints) return [];
+  const [len] = part.size;
+  const pivots = [0, ...Object.values(joints).map(([py]) => py * len)];
+  return group.children.filter((child) => pivots.some((y) => Math.abs(child.position.y - y) <= len * 0.05));
+}
+
+export function rigPart(group, part) {
+  if (limbJoints(part)) {
+    rigLimb(group, part, limbJoints(part));
+  } else if (part.category === 'track') {
+    rigAxles(group, part);
+  }
+}
+
+// ============================================================================
+// LOCOMOTION CONTROLLER
+// ============================================================================
+const DEFAULT_GAIT = { stride: 0.45, lift: 0.9, reverseKnee: false };
+
+// Left (+x) and right limbs run half a cycle apart
+const sidePhase = (p) => (p.position[0] >= 0 ? 0 : Math.PI);
+
+// So do neighbouring legs down one side (front to back), which gives four
+// legs a trot and six a tripod gait
+function legPhases(legs) {
+  const phases = new Map();
+  [true, false].forEach((left) => {
+    legs.filter((p) => (p.position[0] >= 0) === left)
+      .sort((a, b) => b.position[2] - a.position[2])
+      .forEach((p, row) => phases.set(p, sidePhase(p) + row * Math.PI));
+  });
+  return phases;
+}
+
+function collectRig(robot) {
+  const rig = {};
+  robot.traverse((obj) => {
+    if (obj.userData.joint) {
+      let owner = obj.parent;
+      while (owner && owner.userData.part === undefined) owner = owner.parent;
+      if (!owner) return;
+      const slot = rig[owner.userData.part] || (rig[owner.userData.part] = { axles: [] });
+      if (obj.userData.joint === 'axle') slot.axles.push(obj);
+      else slot[obj.userData.joint] = obj;
+    }
+  });
+  return rig;
+}
+
+// Plays walk cycles, wheel/track spin and hover wobble for a built robot.
+// `speed` is ground speed in world units per second; 0 settles into idle.
+// For an LOD robot (buildRobotLOD) the variant currently shown is posed.
+export function createLocomotionController(robot, { speed = 1 } = {}) {
+  const spec = robot.userData.spec;
+  const rigs = new Map();
+  const rigOf = (target) => {
+    if (!rigs.has(target)) rigs.set(target, collectRig(target));
+    return rigs.get(target);
+  };
+  const parts = spec.parts.filter(isRigged);
+  const legs = parts.filter((p) => p.category === 'leg');
+  const phases = legPhases(legs);
+  const arms = parts.filter((p) => p.category === 'arm');
+
+  // Stride length follows leg reach, so long legs step slower at the same speed
+  const gaitOf = (p) => ({ ...DEFAULT_GAIT, ...PartCatalog.leg[p.type].gait });
+  const reachOf = (p) => {
+    const pivots = Object.values(PartCatalog.leg[p.type].joints || {});
+    const foot = pivots.length ? pivots[pivots.length - 1][0] : -2;
+    return -foot * p.size[0];
+  };
+  const strideLength = legs.length
+    ? 4 * reachOf(legs[0]) * Math.sin(gaitOf(legs[0]).stride)
+    : 1;
+
+  let phase = 0;
+  let time = 0;
+  let blend = 0;
+
+  return {
+    speed,
+    update(dt) {
+      time += dt;
+      const rig = rigOf(robot.userData.lod ? robot.userData.lod.current : robot);
+      const moving = Math.min(1, Math.abs(this.speed));
+      blend += (moving - blend) * Math.min(1, dt * 4);
+      phase += (this.speed / strideLength) * Math.PI * 2 * dt;
+
+      legs.forEach((p) => {
+        const j = rig[p.id];
+        if (!j) return;
+        const gait = gaitOf(p);
+        const s = Math.sin(phase + phases.get(p));
+        const c = Math.cos(phase + phases.get(p));
+        const flex = Math.max(0, -c) * gait.lift * blend;
+        const knee = gait.reverseKnee ? -flex : flex;
+        if (j.hip) j.hip.rotation.x = s * gait.stride * blend;
+        if (j.knee) j.knee.rotation.x = knee;
+        if (j.ankle) j.ankle.rotation.x = -(s * gait.stride * blend + knee) * 0.5;
+      });
+
+      // Arms counter-swing against the leg on the same side
+      arms.forEach((p) => {
+        const j = rig[p.id];
+        if (!j) return;
+        const sway = Math.sin(time * 1.3 + sidePhase(p)) * 0.04;
+        if (j.shoulder) j.shoulder.rotation.x = legs.length
+          ? -Math.sin(phase + sidePhase(p)) * 0.35 * blend + sway
+          : sway;
+        if (j.elbow) j.elbow.rotation.x = -0.15 - 0.2 * blend;
+      });
+
+      parts.forEach((p, i) => {
+        const j = rig[p.id];
+        if (!j) return;
+        j.axles.forEach((axle) => {
+          axle.rotation.x += (this.speed / axle.userData.radius) * dt;
+        });
+        if (p.type === 'hover' && j.mount) {
+          const wobble = 0.05 + 0.05 * blend;
+          j.mount.rotation.x = Math.sin(time * 2.1 + i) * wobble + 0.12 * blend * Math.sign(this.speed);
+          j.mount.rotation.z = Math.cos(time * 1.7 + i * 1.3) * wobble;
+          j.mount.position.y = Math.sin(time * 2.6 + i) * 0.03;
+        }
+      });
+    },
+  };
+}
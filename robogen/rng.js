@@ -0,0 +1,26 @@
+// ============================================================================
+// SEEDED RNG - Mulberry32
+// ============================================================================
+export function createSeededRNG(seed) {
+  let hash = 0;
+  const seedStr = String(seed);
+  for (let i = 0; i < seedStr.length; i++) {
+    hash = ((hash << 5) - hash) + seedStr.charCodeAt(i);
+    hash = hash & hash;
+  }
+  let state = hash >>> 0;
+  
+  return {
+    random() {
+      state |= 0;
+      state = state + 0x6D2B79F5 | 0;
+      let t = Math.imul(state ^ state >>> 15, 1 | state);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    },
+    range(min, max) { return min + this.random() * (max - min); },
+    int(min, max) { return Math.floor(this.range(min, max + 1)); },
+    pick(arr) { return arr[this.int(0, arr.length - 1)]; },
+    chance(p = 0.5) { return this.random() < p; }
+  };
+}
@@ -0,0 +1,115 @@
+import * as THREE from 'three';
+import { createRobotCache } from './cache.js';
+import { buildRobotFromSpec } from './generator.js';
+
+// ============================================================================
+// ATTACHMENT & GROUND SOLVER
+// ============================================================================
+// Layout places parts with fixed offsets, so a part can float off its mount
+// or sink into it, and each robot's lowest point sits at a different height.
+// The solver builds the spec once at rest pose, measures every part's
+// bounding box against its parent's and returns a repaired spec whose
+// origin is on the ground: y = 0 is the lowest point of its locomotion.
+//   head, arms, legs, tracks, backpack -> torso; antenna -> head
+// Mounted parts sit on their parent along an axis and may only sink into it
+// by `maxPenetration` of their own extent along it.
+const MOUNTS = { head: [0, 1, 0], antenna: [0, 1, 0], backpack: [0, 0, -1] };
+
+const parentOf = (p) => (p.id === 'torso' ? null : p.id === 'antenna' ? 'head' : 'torso');
+
+const AXES = ['x', 'y', 'z'];
+
+// Shortest move that makes box `a` touch box `b` (zero when they meet)
+function gapVector(a, b) {
+  return AXES.map((axis) => {
+    if (b.min[axis] > a.max[axis]) return b.min[axis] - a.max[axis];
+    if (a.min[axis] > b.max[axis]) return b.max[axis] - a.min[axis];
+    return 0;
+  });
+}
+
+// How deep `a` sinks into `b` along its mount direction, and a's extent there
+function penetration(a, b, dir) {
+  if (!a.intersectsBox(b)) return { depth: 0, extent: 1 };
+  const axis = AXES[dir.findIndex((v) => v !== 0)];
+  const depth = dir.some((v) => v > 0) ? b.max[axis] - a.min[axis] : a.max[axis] - b.min[axis];
+  return { depth: Math.max(0, depth), extent: a.max[axis] - a.min[axis] };
+}
+
+const round = (v) => Math.round(v * 1e4) / 1e4;
+const EPSILON = 1e-6;
+
+// options: repair (move parts, default true), ground (shift to y = 0, default
+// true), tolerance (gap that counts as floating), maxPenetration (fraction),
+// hoverClearance (hover robots float this high). Returns { spec, report }.
+export function solveRobotSpec(spec, { repair = true, ground = true, tolerance = 0.01, maxPenetration = 0.35, hoverClearance = 0.15 } = {}) {
+  const scratch = createRobotCache();
+  const robot = buildRobotFromSpec(spec, { detail: 1, cache: scratch });
+  robot.updateMatrixWorld(true);
+  const boxes = new Map();
+  spec.parts.forEach((p, i) => boxes.set(p.id, new THREE.Box3().setFromObject(robot.children[i])));
+  scratch.dispose();
+
+  // A part moves with everything mounted on it
+  const offsets = new Map(spec.parts.map((p) => [p.id, [0, 0, 0]]));
+  const move = (id, delta) => {
+    const offset = offsets.get(id);
+    delta.forEach((v, i) => { offset[i] += v; });
+    boxes.get(id).translate(new THREE.Vector3(...delta));
+    spec.parts.filter((p) => parentOf(p) === id).forEach((p) => move(p.id, delta));
+  };
+
+  const attachments = [];
+  spec.parts.forEach((p) => {
+    const parent = parentOf(p);
+    if (!parent || !boxes.has(parent)) return;
+    const box = boxes.get(p.id), parentBox = boxes.get(parent);
+    const gap = gapVector(box, parentBox);
+    const distance = Math.hypot(...gap);
+    const mount = MOUNTS[p.id];
+    const { depth, extent } = mount ? penetration(box, parentBox, mount) : { depth: 0, extent: 1 };
+    const entry = { part: p.id, parent, gap: round(distance), penetration: round(depth / extent), issue: null, moved: null };
+    if (distance > tolerance) {
+      entry.issue = 'floating';
+      if (repair) move(p.id, gap);
+    } else if (depth > maxPenetration * extent + EPSILON) {
+      entry.issue = 'interpenetrating';
+      if (repair) move(p.id, mount.map((v) => v * (depth - maxPenetration * extent)));
+    }
+    attachments.push(entry);
+  });
+  attachments.forEach((entry) => {
+    const offset = offsets.get(entry.part);
+    if (offset.some((v) => v !== 0)) entry.moved = offset.map(round);
+  });
+
+  // Ground: the lowest point of the legs / tracks / wheels, after repairs.
+  // Other parts reaching below it (long arms on low tracks) are reported but
+  // left alone; lifting the robot would take its drive off the ground.
+  let lift = 0;
+  const belowGround = [];
+  if (ground) {
+    const drive = spec.parts.filter((p) => p.category === 'leg' || p.category === 'track');
+    const lowest = Math.min(...(drive.length ? drive : spec.parts).map((p) => boxes.get(p.id).min.y));
+    lift = (spec.locomotion === 'hover' ? hoverClearance : 0) - lowest;
+    spec.parts.forEach((p) => {
+      const depth = -(boxes.get(p.id).min.y + lift);
+      if (depth > tolerance) belowGround.push({ part: p.id, depth: round(depth) });
+    });
+  }
+
+  const solved = JSON.parse(JSON.stringify(spec));
+  solved.parts.forEach((p) => {
+    const [dx, dy, dz] = offsets.get(p.id);
+    p.position = [p.position[0] + dx, p.position[1] + dy + lift, p.position[2] + dz];
+  });
+  return {
+    spec: solved,
+    report: {
+      ground: round(lift),
+      attachments,
+      issues: attachments.filter((entry) => entry.issue),
+      belowGround,
+    },
+  };
+}
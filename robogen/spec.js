@@ -0,0 +1,516 @@
+import { createSeededRNG } from './rng.js';
+import { hslToHex } from './color.js';
+import { PartCatalog, LocomotionCatalog, ACCESSORY_MOUNTS, accessoryTypes, pickWeighted, rollPartParams, robotRarity } from './catalog.js';
+import { CATALOG_VERSION, catalogVersion } from './versions.js';
+import { PALETTE_KEYS, partRole, paletteColor, resolvePalette } from './palette.js';
+
+// ============================================================================
+// ROBOT SPEC (serializable blueprint, no Three.js dependency)
+// ============================================================================
+// A spec is plain JSON: every dice roll generateRobot used to make inline is
+// resolved here, and buildRobotFromSpec only turns it into geometry.
+export const SPEC_VERSION = 1;
+
+// Default dice used when a call does not constrain them
+export const DEFAULT_RANGES = {
+  scale: [0.7, 1.3],
+  torsoWidth: [0.8, 1.3],
+  torsoHeight: [0.8, 1.2],
+  torsoDepth: [0.8, 1.2],
+  headSize: [0.8, 1.2],
+  armLength: [0.8, 1.2],
+  armThickness: [0.8, 1.3],
+  legLength: [0.8, 1.2],
+  legThickness: [0.8, 1.2],
+};
+
+// Default chances of the current catalog version (see versions.js)
+export const DEFAULT_CHANCES = catalogVersion().chances;
+
+// Shoulder sockets down each side of the torso, top first: height and
+// front/back offset in units of torso height and depth, outward tilt
+// (radians) and limb size relative to the upper pair. A robot carries 0-6
+// arms, at most one per socket and side.
+export const ARM_SOCKETS = [
+  { y: 0.35, z: 0, splay: 0.1, size: 1 },
+  { y: 0.05, z: 0.3, splay: 0.45, size: 0.85 },
+  { y: -0.2, z: -0.3, splay: 0.75, size: 0.7 },
+];
+export const MAX_ARMS = ARM_SOCKETS.length * 2;
+
+// Leg plans place their legs in rows, front to back, down both sides: hip
+// spread in units of torso width, outward tilt (radians) and limb size
+// relative to a biped's legs. Rows spread past the torso's depth so feet
+// don't collide.
+export const LEG_LAYOUTS = {
+  bipedal: { x: 0.3, splay: 0, size: 1 },
+  quadruped: { x: 0.4, splay: 0.12, size: 0.85 },
+  hexapod: { x: 0.45, splay: 0.45, size: 0.7 },
+};
+
+// A choice constraint is a single type (force), a list (only these) or
+// { include, exclude }. Filtering keeps catalog weights for what remains.
+// `known` are all types of the live catalog, so a type the catalog version
+// predates is told apart from a typo.
+function constrainChoices(label, choices, constraint, { known = choices, catalog } = {}) {
+  if (constraint == null) return choices;
+  const rule = typeof constraint === 'string' || Array.isArray(constraint)
+    ? { include: [].concat(constraint) }
+    : constraint;
+  [...(rule.include || []), ...(rule.exclude || [])].forEach((type) => {
+    if (choices.includes(type)) return;
+    if (known.includes(type)) throw new Error(`Catalog version ${catalog} has no ${label} type ${type}`);
+    throw new Error(`Unknown ${label} type: ${type}`);
+  });
+  const allowed = choices.filter((type) =>
+    (!rule.include || rule.include.includes(type)) && !(rule.exclude || []).includes(type));
+  if (!allowed.length) throw new Error(`No ${label} types left after applying constraints`);
+  return allowed;
+}
+
+function resolveRanges(ranges = {}) {
+  const out = { ...DEFAULT_RANGES };
+  Object.entries(ranges).forEach(([key, range]) => {
+    if (!DEFAULT_RANGES[key]) throw new Error(`Unknown range: ${key}`);
+    if (!Array.isArray(range) || range.length !== 2 || !(range[0] <= range[1])) {
+      throw new Error(`Range ${key} must be [min, max]`);
+    }
+    out[key] = range;
+  });
+  return out;
+}
+
+// Chances may only set the version's keys, each a probability
+function resolveChances(chances = {}, version) {
+  Object.entries(chances).forEach(([key, p]) => {
+    if (!(key in version.chances)) throw new Error(`Unknown chance: ${key}`);
+    if (typeof p !== 'number' || !(p >= 0 && p <= 1)) throw new Error(`chances.${key} must be a number within 0 - 1`);
+  });
+  return { ...version.chances, ...chances };
+}
+
+function resolveArmCount(count) {
+  if (count == null) return null;
+  const [min, max] = Array.isArray(count) ? count : [count, count];
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 0 || max > MAX_ARMS || min > max) {
+    throw new Error(`armCount must be an integer or [min, max] within 0 - ${MAX_ARMS}`);
+  }
+  return [min, max];
+}
+
+// Sockets filled for `count` arms: pairs from the top, an odd arm on `oddSide`
+function armSockets(count, oddSide) {
+  const sockets = [];
+  for (let i = 0; i < count; i++) {
+    const socket = Math.floor(i / 2);
+    const side = count - i === 1 && count % 2 ? oddSide : ['left', 'right'][i % 2];
+    sockets.push({ side, socket });
+  }
+  return sockets;
+}
+
+// Limbs down one side are numbered from the top (arms) or front (legs)
+const limbId = (category, side, index) => (index ? `${category}.${side}.${index + 1}` : `${category}.${side}`);
+
+// Colors are filled in by paintParts
+const part = (id, category, type, size, params, position, rotation = [0, 0, 0]) => ({
+  id, category, type, size, params, color: null, position, rotation,
+});
+
+// Colors each part by its palette role; limbs also get the joint color if set
+function paintParts(parts, palette) {
+  const joint = paletteColor(palette, 'joint');
+  parts.forEach((p) => {
+    p.color = paletteColor(palette, partRole(p.category, p.type));
+    if (joint && (p.category === 'arm' || p.category === 'leg')) p.jointColor = joint;
+  });
+  return parts;
+}
+
+// ============================================================================
+// GENOME
+// ============================================================================
+// A genome holds every choice a spec is made from - palette, dimension dice
+// (DEFAULT_RANGES keys, before scaling), part types and params - but no
+// positions. layoutParts places it; breeding mixes and mutates genomes.
+// `catalog` is the catalog version further picks are made from.
+//   { catalog, palette, dice, torso: { type, params }, head: { type, params },
+//     arms: [{ side: 'left' | 'right', socket, type, params }],
+//     locomotion: { type, part, params: [...] },
+//     antenna: { height, offset, type?, params? } | null,
+//     backpack: boolean | { type, params } }
+// Accessories carry a type and params only when they aren't the default
+// antenna / backpack (see ACCESSORY_MOUNTS).
+
+// Type and params for the accessory on `mount`, or null for the default type
+export function mountedAccessory(mount, type, rng) {
+  if (!accessoryTypes(mount).includes(type)) throw new Error(`Unknown ${mount}-mounted accessory type: ${type}`);
+  return type === ACCESSORY_MOUNTS[mount] ? null : { type, params: rollPartParams('accessory', type, rng) };
+}
+
+// The seed's pick among the version's types for `mount`. It has its own RNG,
+// so robots only change when a mount has more than its default type.
+function rollAccessory(seed, mount, version) {
+  const types = Object.keys(version.parts.accessory).filter((type) => accessoryTypes(mount).includes(type));
+  if (types.length === 1 && types[0] === ACCESSORY_MOUNTS[mount]) return null;
+  const rng = createSeededRNG(`accessory:${seed}:${mount}`);
+  return mountedAccessory(mount, pickWeighted(rng, version.parts.accessory, types), rng);
+}
+
+function layoutParts(genome) {
+  const { dice, palette } = genome;
+  const scale = dice.scale;
+  const parts = [];
+
+  // Torso
+  const tw = 0.8 * scale * dice.torsoWidth;
+  const th = 1.2 * scale * dice.torsoHeight;
+  const td = 0.5 * scale * dice.torsoDepth;
+  parts.push(part('torso', 'torso', genome.torso.type, [tw, th, td], genome.torso.params, [0, 0, 0]));
+
+  // Head
+  const hs = 0.6 * scale * dice.headSize;
+  parts.push(part('head', 'head', genome.head.type, [hs], genome.head.params, [0, th * 0.5 + hs * 0.4, 0]));
+
+  // Arms: left is +x; right arms are mirrored so outboard details stay outboard
+  genome.arms.forEach(({ side, socket, type, params }) => {
+    const { y, z, splay, size } = ARM_SOCKETS[socket];
+    const al = 0.6 * scale * dice.armLength * size;
+    const at = 0.12 * scale * dice.armThickness * size;
+    const dir = side === 'left' ? 1 : -1;
+    const arm = part(limbId('arm', side, socket), 'arm', type, [al, at], params,
+      [dir * (tw * 0.55 + at), th * y, td * z], [0, 0, dir * splay]);
+    if (side === 'right') arm.mirror = true;
+    parts.push(arm);
+  });
+
+  // Locomotion
+  const { type: locomotion, part: partType, params } = genome.locomotion;
+  if (LEG_LAYOUTS[locomotion]) {
+    const { x, splay, size } = LEG_LAYOUTS[locomotion];
+    const ll = 0.8 * scale * dice.legLength * size;
+    const lt = 0.15 * scale * dice.legThickness * size;
+    const rows = params.length / 2;
+    const gap = Math.max(td, lt * 4);
+    for (let i = 0; i < params.length; i++) {
+      const row = Math.floor(i / 2);
+      const dir = i % 2 ? -1 : 1;
+      const z = ((rows - 1) / 2 - row) * gap;
+      parts.push(part(limbId('leg', dir > 0 ? 'left' : 'right', row), 'leg', partType, [ll, lt], params[i],
+        [dir * tw * x, -th * 0.5, z], [0, 0, dir * splay]));
+    }
+  } else if (locomotion === 'tracked') {
+    const trackW = 0.4 * scale;
+    const trackL = 1.5 * scale;
+    const trackH = 0.5 * scale;
+    const size = [trackW, trackL, trackH];
+    parts.push(part('track.left', 'track', partType, size, params[0],
+      [tw * 0.5 + trackW * 0.5, -th * 0.5 - 0.1, 0]));
+    parts.push(part('track.right', 'track', partType, size, params[1],
+      [-(tw * 0.5 + trackW * 0.5), -th * 0.5 - 0.1, 0]));
+  } else if (locomotion === 'wheeled') {
+    const wr = 0.35 * scale;
+    const ww = 0.15 * scale;
+    const positions = [
+      [tw * 0.6, -th * 0.5 - wr * 0.5, td * 0.8],
+      [-tw * 0.6, -th * 0.5 - wr * 0.5, td * 0.8],
+      [tw * 0.6, -th * 0.5 - wr * 0.5, -td * 0.8],
+      [-tw * 0.6, -th * 0.5 - wr * 0.5, -td * 0.8]
+    ];
+    positions.forEach((pos, i) => {
+      parts.push(part(`wheel.${i}`, 'track', partType, [wr, ww], params[i], pos));
+    });
+  } else if (locomotion === 'ball') {
+    const bs = 0.9 * scale;
+    parts.push(part('ball', 'track', partType, [bs], params[0], [0, -th * 0.5 - bs * 0.4, 0]));
+  } else if (locomotion === 'triwheel') {
+    const ts = 0.7 * scale;
+    parts.push(part('triwheel.left', 'track', partType, [ts], params[0], [tw * 0.4, -th * 0.5 - ts * 0.55, 0]));
+    parts.push(part('triwheel.right', 'track', partType, [ts], params[1], [-tw * 0.4, -th * 0.5 - ts * 0.55, 0]));
+  } else if (locomotion === 'hover') {
+    const hovSize = 0.5 * scale;
+    const positions = [
+      [tw * 0.35, -th * 0.5 - 0.15, td * 0.5],
+      [-tw * 0.35, -th * 0.5 - 0.15, td * 0.5],
+      [tw * 0.35, -th * 0.5 - 0.15, -td * 0.5],
+      [-tw * 0.35, -th * 0.5 - 0.15, -td * 0.5]
+    ];
+    positions.forEach((pos, i) => {
+      parts.push(part(`hover.${i}`, 'track', partType, [hovSize], params[i], pos));
+    });
+  }
+
+  // Accessories
+  if (genome.antenna) {
+    const { height, offset, type = 'antenna', params = {} } = genome.antenna;
+    parts.push(part('antenna', 'accessory', type, [height], params, [offset, th * 0.5 + hs * 0.8, 0]));
+  }
+
+  if (genome.backpack) {
+    const { type = 'backpack', params = {} } = genome.backpack === true ? {} : genome.backpack;
+    const bw = tw * 0.6, bh = th * 0.5, bd = 0.25 * scale;
+    parts.push(part('backpack', 'accessory', type, [bw, bh, bd], { ...params, trimColor: paletteColor(palette, 'trim') },
+      [0, 0, -td * 0.5 - bd * 0.5 - 0.05]));
+  }
+
+  return paintParts(parts, palette);
+}
+
+// Lays out a genome as a spec; `seed` only labels it
+export function specFromGenome(genome, seed) {
+  const spec = {
+    version: SPEC_VERSION,
+    seed: String(seed),
+    catalog: genome.catalog || CATALOG_VERSION,
+    scale: genome.dice.scale,
+    palette: { ...genome.palette },
+    locomotion: genome.locomotion.type,
+    parts: layoutParts(genome),
+  };
+  spec.rarity = robotRarity(spec);
+  return spec;
+}
+
+const withoutTrim = ({ trimColor, ...params }) => params;
+
+// Recovers the genome of a laid out spec (the inverse of layoutParts)
+export function genomeFromSpec(spec) {
+  const byId = (id) => spec.parts.find((p) => p.id === id);
+  const scale = spec.scale;
+  const torso = byId('torso'), head = byId('head');
+  const arms = [];
+  spec.parts.forEach((p) => {
+    const match = p.category === 'arm' && /^arm\.(left|right)(?:\.([23]))?$/.exec(p.id);
+    if (match) arms.push({ part: p, side: match[1], socket: match[2] ? match[2] - 1 : 0 });
+  });
+  const antenna = byId('antenna'), backpack = byId('backpack');
+  const plan = LocomotionCatalog[spec.locomotion];
+  const drive = spec.parts.filter((p) => p.category === plan.category);
+  if (!torso || !head) throw new Error('Spec has no torso or head to read a genome from');
+
+  const dice = {
+    scale,
+    torsoWidth: torso.size[0] / (0.8 * scale),
+    torsoHeight: torso.size[1] / (1.2 * scale),
+    torsoDepth: torso.size[2] / (0.5 * scale),
+    headSize: head.size[0] / (0.6 * scale),
+  };
+  if (arms.length) {
+    const { part: arm, socket } = arms[0];
+    dice.armLength = arm.size[0] / (0.6 * scale * ARM_SOCKETS[socket].size);
+    dice.armThickness = arm.size[1] / (0.12 * scale * ARM_SOCKETS[socket].size);
+  }
+  if (LEG_LAYOUTS[spec.locomotion]) {
+    const { size } = LEG_LAYOUTS[spec.locomotion];
+    dice.legLength = drive[0].size[0] / (0.8 * scale * size);
+    dice.legThickness = drive[0].size[1] / (0.15 * scale * size);
+  }
+
+  return {
+    catalog: spec.catalog,
+    palette: { ...spec.palette },
+    dice,
+    torso: { type: torso.type, params: torso.params },
+    head: { type: head.type, params: head.params },
+    arms: arms.map(({ part: arm, side, socket }) => ({ side, socket, type: arm.type, params: arm.params })),
+    locomotion: { type: spec.locomotion, part: drive[0].type, params: drive.map((p) => p.params) },
+    antenna: antenna ? {
+      height: antenna.size[0],
+      offset: antenna.position[0],
+      ...(antenna.type !== 'antenna' && { type: antenna.type, params: antenna.params }),
+    } : null,
+    backpack: backpack ? backpack.type === 'backpack' || { type: backpack.type, params: withoutTrim(backpack.params) } : false,
+  };
+}
+
+// Slots a version with slot seeding rolls from sub-seeds of their own, so
+// re-rolling or constraining one leaves the others as they were. Each arm's
+// params come from a sub-seed of the arms slot.
+export const SEED_SLOTS = ['palette', 'scale', 'torso', 'head', 'arms', 'locomotion', 'antenna', 'backpack'];
+
+function resolveReseed(reseed = {}, version) {
+  Object.entries(reseed).forEach(([slot, value]) => {
+    if (!SEED_SLOTS.includes(slot)) throw new Error(`Unknown seed slot: ${slot}`);
+    if (typeof value !== 'string' && !Number.isFinite(value)) throw new Error(`reseed.${slot} must be a string or number`);
+  });
+  if (Object.keys(reseed).length && version.seeding !== 'slots') throw new Error('reseed needs a catalog version with slot seeding');
+  return reseed;
+}
+
+// Everything generateRobotSpec accepts (see docs); other keys throw
+export const CONSTRAINT_KEYS = ['head', 'torso', 'arm', 'leg', 'track', 'locomotion', 'armCount', 'ranges', 'chances', 'palette', 'catalog', 'reseed'];
+
+export function generateRobotSpec(seed, constraints = {}) {
+  Object.keys(constraints).forEach((key) => {
+    if (!CONSTRAINT_KEYS.includes(key)) throw new Error(`Unknown constraint: ${key}`);
+  });
+  const catalog = constraints.catalog ?? CATALOG_VERSION;
+  const version = catalogVersion(catalog);
+  const ranges = resolveRanges(constraints.ranges);
+  const chances = resolveChances(constraints.chances, version);
+  const armCount = resolveArmCount(constraints.armCount);
+  const reseed = resolveReseed(constraints.reseed, version);
+  const choicesOf = (category) => constrainChoices(category, Object.keys(version.parts[category]), constraints[category],
+    { known: Object.keys(PartCatalog[category]), catalog });
+
+  // Earlier versions roll everything from one stream in the order below, so
+  // any extra roll moves every later part
+  const stream = createSeededRNG(seed);
+  const slotSeed = (slot) => String(reseed[slot] ?? seed);
+  const rngs = {};
+  const slotRNG = version.seeding === 'slots'
+    ? (slot, sub = slot) => rngs[sub] || (rngs[sub] = createSeededRNG(`slot:${slotSeed(slot)}:${sub}`))
+    : () => stream;
+  const pickType = (category, rng) => pickWeighted(rng, version.parts[category], choicesOf(category));
+  const dice = {};
+  const roll = (key, rng) => { dice[key] = rng.range(...ranges[key]); };
+
+  // Colors
+  let rng = slotRNG('palette');
+  const hue = rng.range(0, 1);
+  const c1 = hslToHex(hue, rng.range(0.6, 1), rng.range(0.45, 0.65));
+  const c2 = hslToHex((hue + rng.range(0.08, 0.17)) % 1, rng.range(0.6, 1), rng.range(0.5, 0.7));
+  const palette = resolvePalette(constraints.palette, slotSeed('palette'), { primary: c1, secondary: c2 });
+
+  // Size
+  roll('scale', slotRNG('scale'));
+
+  // Torso
+  rng = slotRNG('torso');
+  const torsoType = pickType('torso', rng);
+  roll('torsoWidth', rng);
+  roll('torsoHeight', rng);
+  roll('torsoDepth', rng);
+  const torso = { type: torsoType, params: rollPartParams('torso', torsoType, rng) };
+
+  // Head
+  rng = slotRNG('head');
+  const headType = pickType('head', rng);
+  roll('headSize', rng);
+  const head = { type: headType, params: rollPartParams('head', headType, rng) };
+
+  // Arms: the upper pair. Extra arms and asymmetry are rolled last.
+  const armRNG = slotRNG('arms');
+  const armParamsRNG = (side, socket) => slotRNG('arms', limbId('arm', side, socket));
+  let upperArms = null;
+  let hasArms = armRNG.chance(chances.arms);
+  if (armCount) hasArms = armCount[1] > 0 && (hasArms || armCount[0] > 0);
+  if (hasArms) {
+    const armType = pickType('arm', armRNG);
+    roll('armLength', armRNG);
+    roll('armThickness', armRNG);
+    upperArms = {
+      type: armType,
+      params: ['left', 'right'].map((side) => rollPartParams('arm', armType, armParamsRNG(side, 0))),
+    };
+  }
+
+  // Locomotion: plans whose part types the leg / track constraints rule out
+  // are skipped
+  const driveChoices = (type) => {
+    const pinned = version.locomotion[type];
+    const allowed = pinned.type ? [pinned.type] : pinned.types;
+    return choicesOf(LocomotionCatalog[type].category).filter((part) => !allowed || allowed.includes(part));
+  };
+  const requested = constrainChoices('locomotion', Object.keys(version.locomotion), constraints.locomotion,
+    { known: Object.keys(LocomotionCatalog), catalog });
+  const plans = requested.filter((type) => driveChoices(type).length);
+  if (!plans.length) {
+    throw new Error(`No locomotion types left after applying constraints: ${requested.map((type) => {
+      const { category } = LocomotionCatalog[type];
+      return `${type} locomotion cannot use ${category} type ${choicesOf(category).join(' / ')}`;
+    }).join('; ')}`);
+  }
+  rng = slotRNG('locomotion');
+  const locomotion = pickWeighted(rng, version.locomotion, plans);
+  const plan = LocomotionCatalog[locomotion];
+  const pinned = version.locomotion[locomotion];
+  const driveType = pinned.type || pickWeighted(rng, version.parts[plan.category], driveChoices(locomotion));
+  if (plan.category === 'leg') {
+    roll('legLength', rng);
+    roll('legThickness', rng);
+  }
+  const driveParams = Array.from({ length: plan.count }, () => rollPartParams(plan.category, driveType, rng));
+
+  // Accessories
+  let antenna = null;
+  rng = slotRNG('antenna');
+  if (rng.chance(chances.antenna)) {
+    const height = rng.range(0.3, 0.6);
+    antenna = { height, offset: rng.range(-0.2, 0.2), ...rollAccessory(slotSeed('antenna'), 'head', version) };
+  }
+  const backpack = slotRNG('backpack').chance(chances.backpack) && (rollAccessory(slotSeed('backpack'), 'back', version) || true);
+
+  // Rolled after everything else, so a robot that keeps a plain mirrored pair
+  // is the same robot earlier versions made from its seed
+  let arms = [];
+  if (upperArms) {
+    let count = 2;
+    if (armCount) count = armRNG.int(Math.max(1, armCount[0]), armCount[1]);
+    else if (armRNG.chance(chances.extraArms)) count += armRNG.int(1, MAX_ARMS - 2);
+    const oddSide = count % 2 && armRNG.chance() ? 'right' : 'left';
+    const types = { left: upperArms.type, right: upperArms.type };
+    if (armRNG.chance(chances.asymmetry)) types.right = pickType('arm', armRNG);
+    arms = armSockets(count, oddSide).map(({ side, socket }) => {
+      const type = types[side];
+      const params = socket === 0 && type === upperArms.type
+        ? upperArms.params[side === 'left' ? 0 : 1]
+        : rollPartParams('arm', type, armParamsRNG(side, socket));
+      return { side, socket, type, params };
+    });
+  }
+
+  const spec = specFromGenome({
+    catalog,
+    palette,
+    dice,
+    torso,
+    head,
+    arms,
+    locomotion: { type: locomotion, part: driveType, params: driveParams },
+    antenna,
+    backpack,
+  }, seed);
+  // Keep the constraints so the spec can be regenerated from its seed
+  if (Object.keys(constraints).length) spec.constraints = constraints;
+  return spec;
+}
+
+// ============================================================================
+// SPEC VALIDATION
+// ============================================================================
+const isVec3 = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+const isHex = (c) => typeof c === 'string' && /^#[0-9a-f]{6}$/i.test(c);
+
+// Returns a list of human-readable problems; an empty list means the spec is buildable
+export function validateRobotSpec(spec) {
+  const errors = [];
+  if (!spec || typeof spec !== 'object') return ['spec must be an object'];
+  if (spec.version !== SPEC_VERSION) errors.push(`unsupported spec version: ${spec.version}`);
+  if (spec.catalog !== undefined && typeof spec.catalog !== 'string') errors.push('catalog must be a catalog version name');
+  if (!Array.isArray(spec.parts)) return [...errors, 'parts must be an array'];
+  Object.entries(spec.palette || {}).forEach(([key, color]) => {
+    if (!PALETTE_KEYS.includes(key)) errors.push(`palette: unknown key "${key}"`);
+    else if (!isHex(color)) errors.push(`palette.${key}: must be a #rrggbb string`);
+  });
+
+  const ids = new Set();
+  spec.parts.forEach((p, i) => {
+    const where = `parts[${i}]${p && p.id ? ` (${p.id})` : ''}`;
+    if (!p || typeof p !== 'object') { errors.push(`${where}: must be an object`); return; }
+    if (ids.has(p.id)) errors.push(`${where}: duplicate id`);
+    ids.add(p.id);
+    if (!PartCatalog[p.category]) errors.push(`${where}: unknown category "${p.category}"`);
+    else if (!PartCatalog[p.category][p.type]) errors.push(`${where}: unknown ${p.category} type "${p.type}"`);
+    if (!Array.isArray(p.size) || !p.size.length || !p.size.every((n) => Number.isFinite(n) && n > 0)) {
+      errors.push(`${where}: size must be a list of positive numbers`);
+    }
+    if (!p.params || typeof p.params !== 'object') errors.push(`${where}: params must be an object`);
+    if (!isHex(p.color)) errors.push(`${where}: color must be a #rrggbb string`);
+    if (p.jointColor !== undefined && !isHex(p.jointColor)) errors.push(`${where}: jointColor must be a #rrggbb string`);
+    if (!isVec3(p.position)) errors.push(`${where}: position must be [x, y, z]`);
+    if (!isVec3(p.rotation)) errors.push(`${where}: rotation must be [x, y, z]`);
+    if (p.mirror !== undefined && typeof p.mirror !== 'boolean') errors.push(`${where}: mirror must be true or false`);
+  });
+  return errors;
+}
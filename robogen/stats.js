@@ -0,0 +1,131 @@
+import { PartCatalog, LocomotionCatalog } from './catalog.js';
+
+// ============================================================================
+// GAMEPLAY STATS (no Three.js dependency)
+// ============================================================================
+// Stats come from the spec alone: each part's catalog `stats` scaled by its
+// volume, which follows its size, so a unit's numbers always match the robot
+// on screen. Part stats (all optional):
+//   armor      plating per unit volume (default 1; the antenna has none)
+//   damage     attack per part at nominal size, of `damageType`
+//   sensor     sensor range per part at nominal size
+//   mobility   speed factor; drive parts average theirs, others multiply in
+// Locomotion plans give the base speed (`stats.speed`).
+
+// Damage types; ranged ones count toward the artillery role
+export const DAMAGE_TYPES = {
+  impact: { ranged: false },
+  slash: { ranged: false },
+  ballistic: { ranged: true },
+  energy: { ranged: true },
+};
+
+// Approximate solid volume from a part's spec size, per category or type
+const limbVolume = ([length, thickness]) => 2 * length * thickness ** 2;
+const VOLUMES = {
+  torso: ([w, h, d]) => w * h * d,
+  head: ([s]) => 0.5 * s ** 3,
+  arm: limbVolume,
+  leg: limbVolume,
+  'track:tank': ([w, l, h]) => w * l * h,
+  'track:wheel': ([r, w]) => Math.PI * r * r * w,
+  'track:hover': ([s]) => 0.3 * s ** 3,
+  'track:ball': ([s]) => (Math.PI / 6) * s ** 3,
+  'track:triwheel': ([s]) => 0.25 * s ** 3,
+  'accessory:antenna': ([h]) => 0.002 * h,
+  'accessory:backpack': ([w, h, d]) => w * h * d,
+};
+const boxVolume = ([a, b = a, c = b]) => a * b * c;
+
+export function partVolume(p) {
+  const volume = VOLUMES[`${p.category}:${p.type}`] || VOLUMES[p.category] || boxVolume;
+  return volume(p.size);
+}
+
+// Sizes at scale 1 with every dimension die at 1; a part's `heft` is its size
+// relative to these, so a bigger cannon hits harder
+const NOMINAL_SIZES = {
+  torso: [0.8, 1.2, 0.5],
+  head: [0.6],
+  arm: [0.6, 0.12],
+  leg: [0.8, 0.15],
+  'track:tank': [0.4, 1.5, 0.5],
+  'track:wheel': [0.35, 0.15],
+  'track:hover': [0.5],
+  'track:ball': [0.9],
+  'track:triwheel': [0.7],
+  'accessory:antenna': [0.35],
+  'accessory:backpack': [0.48, 0.6, 0.25],
+};
+
+function heft(p) {
+  const nominal = NOMINAL_SIZES[`${p.category}:${p.type}`] || NOMINAL_SIZES[p.category];
+  return nominal ? Math.cbrt(partVolume(p) / partVolume({ ...p, size: nominal })) : 1;
+}
+
+export function partStats(category, type) {
+  const entry = PartCatalog[category] && PartCatalog[category][type];
+  return { armor: 1, damage: 0, damageType: null, sensor: 0, mobility: 1, ...(entry && entry.stats) };
+}
+
+const HP_PER_VOLUME = 300;
+const DENSITY = 900;
+const ATTACK_PER_DAMAGE = 10;
+const SENSOR_RANGE = 12;
+const REFERENCE_MASS = 700;
+
+// First role whose test passes, in key order
+export const ROBOT_ROLES = {
+  artillery: (s) => s.rangedAttack >= 40 && s.rangedAttack >= s.attack / 2,
+  tank: (s) => s.armor >= 13 || s.hp >= 550,
+  brawler: (s) => s.attack >= 75,
+  scout: (s) => s.speed >= 3.3 || s.sensorRange >= 21,
+  support: () => true,
+};
+
+const round = (v, digits = 0) => Number(v.toFixed(digits));
+
+// { hp, armor, mass, speed, attack, rangedAttack, damage: { type: attack },
+//   damageType, sensorRange, role } for a spec (solved or not)
+export function robotStats(spec) {
+  const plan = LocomotionCatalog[spec.locomotion];
+  if (!plan) throw new Error(`Unknown locomotion type: ${spec.locomotion}`);
+  let volume = 0, plated = 0, weight = 0, sensor = 0, bodyMobility = 1;
+  const driveMobility = [];
+  const damage = {};
+  spec.parts.forEach((p) => {
+    const stats = partStats(p.category, p.type);
+    const v = partVolume(p);
+    volume += v;
+    plated += v * stats.armor;
+    weight += v * (0.5 + 0.5 * stats.armor);
+    sensor += stats.sensor * heft(p);
+    if (stats.damage) {
+      if (!DAMAGE_TYPES[stats.damageType]) throw new Error(`Unknown damage type for ${p.category} ${p.type}: ${stats.damageType}`);
+      damage[stats.damageType] = (damage[stats.damageType] || 0) + stats.damage * heft(p) * ATTACK_PER_DAMAGE;
+    }
+    if (p.category === plan.category) driveMobility.push(stats.mobility);
+    else bodyMobility *= stats.mobility;
+  });
+
+  const drive = spec.parts.find((p) => p.category === plan.category);
+  const mobility = (driveMobility.reduce((sum, m) => sum + m, 0) / (driveMobility.length || 1)) * bodyMobility;
+  const mass = DENSITY * weight;
+  const baseSpeed = plan.stats ? plan.stats.speed : 3;
+  const speed = baseSpeed * mobility * Math.sqrt(drive ? heft(drive) : 1) * (REFERENCE_MASS / mass) ** 0.25;
+  Object.keys(damage).forEach((type) => { damage[type] = round(damage[type]); });
+  const attack = Object.values(damage).reduce((sum, d) => sum + d, 0);
+  const stats = {
+    hp: round(HP_PER_VOLUME * plated),
+    armor: round((10 * plated) / volume),
+    mass: round(mass),
+    speed: round(speed, 2),
+    attack,
+    rangedAttack: Object.keys(damage).filter((type) => DAMAGE_TYPES[type].ranged).reduce((sum, type) => sum + damage[type], 0),
+    damage,
+    damageType: Object.keys(damage).sort((a, b) => damage[b] - damage[a])[0] || null,
+    sensorRange: round(SENSOR_RANGE * sensor, 1),
+  };
+  stats.role = Object.keys(ROBOT_ROLES).find((role) => ROBOT_ROLES[role](stats));
+  return stats;
+}
@@ -0,0 +1,261 @@
+import { PartCatalog, LocomotionCatalog, locomotionPartTypes, weightOf } from './catalog.js';
+
+// ============================================================================
+// CATALOG VERSIONS (no Three.js dependency)
+// ============================================================================
+// Adding or re-weighting a part type changes the robot every existing seed
+// makes, so random picks don't read the live catalog. A seed is generated
+// against a named version that pins what the picks see:
+//   parts        { [category]: { [type]: { weight } } } in pick order
+//   locomotion   { [plan]: { weight, type | types } } in pick order
+//   chances      default chances (see DEFAULT_CHANCES)
+//   seeding      'slots' to roll each slot from its own sub-seed (see
+//                SEED_SLOTS); otherwise everything reads one stream in turn
+// Plan sizes and counts, part rolls and layout are shared by every version,
+// so a version reproduces the specs its release made. Geometry is not
+// versioned: part generator fixes since (tank sprockets, wheel tyres, the
+// triwheel plane, mirrored right arms) reach old specs too, which
+// robotGeometryFingerprint shows. Published versions are frozen: changing what
+// a release picks means adding a version, never editing one.
+
+const HEADS = ['cube', 'dome', 'visor', 'pyramid', 'turret', 'cluster', 'cyclops', 'scanner', 'insect', 'monitor', 'horned'];
+const TORSOS = ['box', 'hex', 'tapered', 'segmented', 'spheroid', 'industrial', 'barrel', 'stealth', 'spinal', 'cage', 'plated'];
+const ARMS = ['standard', 'armored', 'skeletal', 'hydraulic', 'tentacle', 'claw', 'blade', 'cannon', 'shield'];
+const LEGS = ['standard', 'digitigrade', 'armored', 'piston', 'spider', 'hooved', 'blocky', 'stilts'];
+const TRACKS = ['tank', 'wheel', 'hover', 'ball', 'triwheel'];
+const ACCESSORIES = ['antenna', 'backpack'];
+
+const RARE = 0.2;
+const LEGENDARY = 0.05;
+
+// Types in pick order; any not in `weights` weigh 1
+const table = (types, weights = {}) => Object.fromEntries(types.map((type) => [type, { weight: weights[type] ?? 1 }]));
+
+const UNIFORM_PARTS = {
+  head: table(HEADS),
+  torso: table(TORSOS),
+  arm: table(ARMS),
+  leg: table(LEGS),
+  track: table(TRACKS),
+  accessory: table(ACCESSORIES),
+};
+
+const TIERED_PARTS = {
+  head: table(HEADS, { cyclops: RARE, insect: RARE, horned: LEGENDARY }),
+  torso: table(TORSOS, { stealth: RARE, spinal: LEGENDARY, cage: RARE }),
+  arm: table(ARMS, { tentacle: LEGENDARY, blade: RARE, shield: RARE }),
+  leg: table(LEGS, { spider: RARE, hooved: LEGENDARY, stilts: RARE }),
+  track: table(TRACKS),
+  accessory: table(ACCESSORIES),
+};
+
+const PAIRED_ARMS = { arms: 0.85, antenna: 0.4, backpack: 0.35, extraArms: 0, asymmetry: 0 };
+const BODY_PLANS = { ...PAIRED_ARMS, extraArms: 0.12, asymmetry: 0.3 };
+
+const freeze = (value) => {
+  if (value && typeof value === 'object') Object.values(value).forEach(freeze);
+  return Object.freeze(value);
+};
+
+export const CATALOG_VERSIONS = {
+  // v1.0.0: every type equally likely, bipeds three times as common
+  '1.0': freeze({
+    parts: UNIFORM_PARTS,
+    locomotion: {
+      bipedal: { weight: 3 },
+      tracked: { weight: 1, type: 'tank' },
+      wheeled: { weight: 1, type: 'wheel' },
+      hover: { weight: 1, type: 'hover' },
+    },
+    chances: PAIRED_ARMS,
+  }),
+  // Rarity tiers
+  '1.1': freeze({
+    parts: TIERED_PARTS,
+    locomotion: {
+      bipedal: { weight: 3 },
+      tracked: { weight: 1, type: 'tank' },
+      wheeled: { weight: 1, type: 'wheel' },
+      hover: { weight: RARE, type: 'hover' },
+    },
+    chances: PAIRED_ARMS,
+  }),
+  // Extra arms and asymmetric loadouts
+  '1.2': freeze({
+    parts: TIERED_PARTS,
+    locomotion: {
+      bipedal: { weight: 3 },
+      tracked: { weight: 1, type: 'tank' },
+      wheeled: { weight: 1, type: 'wheel' },
+      hover: { weight: RARE, type: 'hover' },
+    },
+    chances: BODY_PLANS,
+  }),
+  // Quadruped, hexapod, ball and triwheel plans
+  '1.3': freeze({
+    parts: TIERED_PARTS,
+    locomotion: {
+      bipedal: { weight: 3 },
+      tracked: { weight: 1, type: 'tank' },
+      wheeled: { weight: 1, type: 'wheel' },
+      hover: { weight: RARE, type: 'hover' },
+      quadruped: { weight: 1, types: ['digitigrade', 'armored', 'piston', 'hooved', 'blocky'] },
+      hexapod: { weight: RARE, types: ['standard', 'piston', 'spider'] },
+      ball: { weight: RARE, type: 'ball' },
+      triwheel: { weight: 1, type: 'triwheel' },
+    },
+    chances: BODY_PLANS,
+  }),
+  // Sub-seeded slots: a part's rolls no longer shift every later part
+  '1.4': freeze({
+    parts: TIERED_PARTS,
+    locomotion: {
+      bipedal: { weight: 3 },
+      tracked: { weight: 1, type: 'tank' },
+      wheeled: { weight: 1, type: 'wheel' },
+      hover: { weight: RARE, type: 'hover' },
+      quadruped: { weight: 1, types: ['digitigrade', 'armored', 'piston', 'hooved', 'blocky'] },
+      hexapod: { weight: RARE, types: ['standard', 'piston', 'spider'] },
+      ball: { weight: RARE, type: 'ball' },
+      triwheel: { weight: 1, type: 'triwheel' },
+    },
+    chances: BODY_PLANS,
+    seeding: 'slots',
+  }),
+};
+
+// What new robots are generated against
+export const CATALOG_VERSION = '1.4';
+
+export function catalogVersion(name = CATALOG_VERSION) {
+  const version = CATALOG_VERSIONS[name];
+  if (!version) throw new Error(`Unknown catalog version: ${name}`);
+  return version;
+}
+
+// Pins the live catalog - built-in and registered parts at their current
+// weights and plans with their current types - as a new version, e.g. once a
+// part pack is loaded. `chances` go on top of the current version's, and
+// seeding follows it.
+export function registerCatalogVersion(name, { chances = {} } = {}) {
+  if (typeof name !== 'string' || !name) throw new Error('Catalog version name must be a string');
+  if (CATALOG_VERSIONS[name]) throw new Error(`Catalog version ${name} already exists`);
+  const parts = {};
+  Object.entries(PartCatalog).forEach(([category, entries]) => {
+    parts[category] = Object.fromEntries(Object.entries(entries).map(([type, entry]) => [type, { weight: weightOf(entry) }]));
+  });
+  const locomotion = {};
+  Object.entries(LocomotionCatalog).forEach(([type, plan]) => {
+    locomotion[type] = { weight: weightOf(plan), ...(plan.type ? { type: plan.type } : plan.types && { types: [...plan.types] }) };
+  });
+  const { chances: current, seeding } = catalogVersion();
+  CATALOG_VERSIONS[name] = freeze({ parts, locomotion, chances: { ...current, ...chances }, ...(seeding && { seeding }) });
+  return CATALOG_VERSIONS[name];
+}
+
+// Drive types `locomotion` picks from under `version`. A plan the version
+// predates (reached through an override) keeps the types the version has.
+export function versionDriveTypes(version, locomotion) {
+  const plan = LocomotionCatalog[locomotion];
+  if (!plan) throw new Error(`Unknown locomotion type: ${locomotion}`);
+  const pinned = version.locomotion[locomotion];
+  const available = version.parts[plan.category];
+  if (!pinned) return locomotionPartTypes(locomotion).filter((type) => available[type]);
+  return pinned.type ? [pinned.type] : pinned.types || Object.keys(available);
+}
+
+// ============================================================================
+// FINGERPRINTS
+// ============================================================================
+// robotFingerprint hashes everything the builder reads from a spec -
+// locomotion and every part's type, size, params, colors and placement - so a
+// robot regenerated from its seed and catalog version can be checked against
+// a saved one. Key order doesn't matter; metadata such as rarity or overrides
+// is left out, and numbers are rounded to 6 decimals so float noise from a
+// genome round trip doesn't change the hash.
+// robotGeometryFingerprint hashes what was actually built, so it also changes
+// when a part generator does.
+
+const round = (value, places) => {
+  const rounded = Math.round(value * places) / places;
+  return rounded === 0 ? 0 : rounded;
+};
+
+const canonical = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined).sort();
+    return `{${keys.map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(typeof value === 'number' ? round(value, 1e6) : value);
+};
+
+// 64-bit FNV-1a over UTF-8, in two 32-bit halves; the prime is 2^40 + 0x1b3
+function createHasher() {
+  let hi = 0xcbf29ce4, lo = 0x84222325;
+  const encoder = new TextEncoder();
+  return {
+    update(text) {
+      encoder.encode(text).forEach((byte) => {
+        lo ^= byte;
+        const product = (lo >>> 0) * 0x1b3;
+        hi = (Math.imul(hi, 0x1b3) + Math.floor(product / 0x100000000) + (lo << 8)) >>> 0;
+        lo = product >>> 0;
+      });
+    },
+    digest: () => (hi >>> 0).toString(16).padStart(8, '0') + (lo >>> 0).toString(16).padStart(8, '0'),
+  };
+}
+
+// 16 hex digits
+export function robotFingerprint(spec) {
+  const hasher = createHasher();
+  hasher.update(canonical({ locomotion: spec.locomotion, parts: spec.parts }));
+  return hasher.digest();
+}
+
+// Column-major 4x4 product a * b
+const multiply = (a, b) => Array.from({ length: 16 }, (_, i) => {
+  const row = i % 4, col = i - row;
+  return a[row] * b[col] + a[row + 4] * b[col + 1] + a[row + 8] * b[col + 2] + a[row + 12] * b[col + 3];
+});
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Positions in 1e-4 steps. Part sizes are short decimals, so many coordinates
+// land exactly on a rounding boundary, where float noise from a different
+// group hierarchy would flip them; the offset moves the boundaries off them.
+const quantize = (value) => Math.round(value * 1e4 + 0.3183);
+
+// The shape a built robot shows: every line segment and triangle as its
+// corner positions in the robot's own frame, with the primitive's kind, color
+// and opacity. Corners, elements and primitives are hashed in sorted order, so
+// vertex order, indexing, winding, regrouping parts (e.g. into joints) and
+// placing the robot in a scene don't change it. Reads plain Object3D and
+// BufferGeometry fields, so this module still doesn't import three.
+export function robotGeometryFingerprint(robot) {
+  const primitives = [];
+  robot.updateMatrixWorld(true);
+  robot.traverse((obj) => {
+    if (!obj.isLineSegments && !obj.isMesh) return;
+    let m = IDENTITY;
+    for (let node = obj; node !== robot; node = node.parent) m = multiply(node.matrix.elements, m);
+    const { geometry, material } = obj;
+    const p = geometry.attributes.position.array;
+    const corner = (i) => {
+      const [x, y, z] = [p[i * 3], p[i * 3 + 1], p[i * 3 + 2]];
+      return `${quantize(m[0] * x + m[4] * y + m[8] * z + m[12])},${quantize(m[1] * x + m[5] * y + m[9] * z + m[13])},` +
+        `${quantize(m[2] * x + m[6] * y + m[10] * z + m[14])}`;
+    };
+    const order = geometry.index ? geometry.index.array : Array.from({ length: p.length / 3 }, (_, i) => i);
+    const size = obj.isMesh ? 3 : 2;
+    const elements = [];
+    for (let i = 0; i + size <= order.length; i += size) {
+      elements.push(Array.from({ length: size }, (_, k) => corner(order[i + k])).sort().join(' '));
+    }
+    primitives.push(`${obj.isMesh ? 'mesh' : 'lines'}:${material.color.getHexString()}:${material.opacity}:${elements.sort().join(';')}`);
+  });
+  const hasher = createHasher();
+  hasher.update(primitives.sort().join('\n'));
+  return hasher.digest();
+}
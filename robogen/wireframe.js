@@ -0,0 +1,58 @@
+import * as THREE from 'three';
+import { cachedGeometry, cachedMaterial } from './cache.js';
+
+// ============================================================================
+// WIREFRAME GEOMETRY HELPERS
+// ============================================================================
+const lineMaterial = (color) => cachedMaterial(`line:${color}`, () => new THREE.LineBasicMaterial({ color: new THREE.Color(color) }));
+
+const solidMaterial = (color, opacity) => cachedMaterial(`solid:${color}:${opacity}`, () => {
+  const col = new THREE.Color(color);
+  // Darken slightly for solid faces
+  col.multiplyScalar(0.7);
+  return new THREE.MeshLambertMaterial({ 
+    color: col,
+    flatShading: true,
+    transparent: opacity < 1,
+    opacity: opacity,
+    side: THREE.DoubleSide
+  });
+});
+
+export function createWireframe(geometry, color, edgeThreshold = 15) {
+  const edges = cachedGeometry(`edges:${geometry.uuid}:${edgeThreshold}`, () => new THREE.EdgesGeometry(geometry, edgeThreshold));
+  return new THREE.LineSegments(edges, lineMaterial(color));
+}
+
+// Create solid mesh with flat shading (SVGA style)
+export function createSolidMesh(geometry, color, opacity = 0.85) {
+  return new THREE.Mesh(geometry, solidMaterial(color, opacity));
+}
+
+export function addToGroup(group, geometry, color, pos = [0,0,0], rot = [0,0,0], scale = [1,1,1], edgeThreshold = 15, showSolid = false) {
+  const wrapper = new THREE.Group();
+  
+  // Add solid mesh first (renders behind wireframe)
+  if (showSolid) {
+    const solid = createSolidMesh(geometry, color);
+    wrapper.add(solid);
+  }
+  
+  // Add wireframe on top
+  const wire = createWireframe(geometry, color, edgeThreshold);
+  wrapper.add(wire);
+  
+  wrapper.position.set(...pos);
+  wrapper.rotation.set(...rot);
+  wrapper.scale.set(...(Array.isArray(scale) ? scale : [scale, scale, scale]));
+  group.add(wrapper);
+  return wrapper;
+}
+
+// Gives a primitive made by addToGroup another color
+export function recolorPrimitive(wrapper, color) {
+  wrapper.children.forEach((obj) => {
+    obj.material = obj.isMesh ? solidMaterial(color, obj.material.opacity) : lineMaterial(color);
+  });
+  return wrapper;
+}
@@ -0,0 +1,44 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as core from '../robogen/core.js';
+import * as robogen from '../robogen/index.js';
+import * as packageCore from 'robogen/core';
+
+const { generateRobotSpec, validateRobotSpec, crossRobotSpecs, mutateRobotSpec } = core;
+
+// Follows relative imports from `file`, collecting every bare specifier
+function bareImports(file, seen = new Set(), found = new Set()) {
+  if (seen.has(file.href)) return found;
+  seen.add(file.href);
+  for (const [, from] of readFileSync(file, 'utf8').matchAll(/^(?:import|export)[^'"]*from '([^']+)'/gm)) {
+    if (from.startsWith('.')) bareImports(new URL(from, file), seen, found);
+    else found.add(from);
+  }
+  return found;
+}
+
+test('the core entry never imports three', () => {
+  assert.deepEqual([...bareImports(new URL('../robogen/core.js', import.meta.url))], []);
+});
+
+test('the main entry re-exports the core entry', () => {
+  Object.keys(core).forEach((name) => assert.equal(robogen[name], core[name], name));
+  assert.equal(packageCore.generateRobotSpec, core.generateRobotSpec);
+});
+
+test('specs are deterministic and valid', () => {
+  for (let i = 0; i < 50; i++) {
+    const spec = generateRobotSpec(`robot-core-${i}`);
+    assert.deepEqual(generateRobotSpec(`robot-core-${i}`), spec);
+    assert.deepEqual(validateRobotSpec(spec), []);
+  }
+});
+
+test('breeding is deterministic', () => {
+  const a = generateRobotSpec('robot-core-a'), b = generateRobotSpec('robot-core-b');
+  const child = crossRobotSpecs(a, b, { seed: 'brood-1' });
+  assert.deepEqual(crossRobotSpecs(a, b, { seed: 'brood-1' }), child);
+  assert.deepEqual(validateRobotSpec(child), []);
+  assert.deepEqual(mutateRobotSpec(child, { amount: 0.5, seed: 'brood-1' }), mutateRobotSpec(child, { amount: 0.5, seed: 'brood-1' }));
+});
@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import validator from 'gltf-validator';
+import * as THREE from 'three';
+import { generateRobot, mergeRobotGeometry } from '../robogen/index.js';
+import { exportRobotGLB, exportRobotGLTF } from '../robogen/export/gltf.js';
+
+const errorsIn = async (bytes) => (await validator.validateBytes(bytes)).issues.numErrors;
+const gltfBytes = (root) => new TextEncoder().encode(JSON.stringify(exportRobotGLTF(root)));
+
+const box = (color) => {
+  const group = new THREE.Group();
+  group.add(new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshBasicMaterial({ color })));
+  return group;
+};
+
+// #a0d83b in linear sRGB
+const LIME = [0.3515, 0.6867, 0.0437];
+const assertNear = (actual, expected) => expected.forEach((v, i) => assert.ok(Math.abs(actual[i] - v) < 1e-4, `${actual} vs ${expected}`));
+
+test('material factors are the linear value of the sRGB color', () => {
+  const json = exportRobotGLTF(box('#a0d83b'));
+  assertNear(json.materials[0].pbrMetallicRoughness.baseColorFactor, [...LIME, 1]);
+});
+
+test('merged vertex colors are linear', () => {
+  const json = exportRobotGLTF(mergeRobotGeometry(box('#a0d83b')));
+  const accessor = json.accessors[json.meshes[0].primitives[0].attributes.COLOR_0];
+  const view = json.bufferViews[accessor.bufferView];
+  const bin = Buffer.from(json.buffers[0].uri.split(',')[1], 'base64');
+  assertNear(new Float32Array(bin.buffer.slice(bin.byteOffset + (view.byteOffset || 0)), 0, 3), LIME);
+});
+
+test('exports validate at every detail level, wire and solid', async () => {
+  for (const detail of [1, 2, 3]) {
+    for (const solid of [false, true]) {
+      const robot = generateRobot(`robot-test-${detail}`, detail, solid);
+      assert.equal(await errorsIn(exportRobotGLB(robot)), 0, `GLB detail ${detail} solid ${solid}`);
+      assert.equal(await errorsIn(gltfBytes(robot)), 0, `glTF detail ${detail} solid ${solid}`);
+    }
+  }
+});
+
+test('merged and empty exports validate', async () => {
+  const merged = mergeRobotGeometry(generateRobot('robot-test-merged', 3, true));
+  assert.equal(await errorsIn(exportRobotGLB(merged)), 0);
+  assert.equal(await errorsIn(exportRobotGLB(new THREE.Group())), 0);
+});
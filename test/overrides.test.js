@@ -0,0 +1,35 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRobotSpec, validateRobotSpec } from '../robogen/spec.js';
+import { mergeRobotOverrides, applyRobotOverrides } from '../robogen/overrides.js';
+
+const EDITS = { head: 'cyclops', arms: { left: 'cannon', right: 'shield' }, locomotion: 'tracked', backpack: true, palette: { primary: '#224488' } };
+
+test('the same overrides always give the same valid robot', () => {
+  for (let i = 0; i < 30; i++) {
+    const spec = generateRobotSpec(`robot-edit-${i}`);
+    const edited = applyRobotOverrides(spec, EDITS);
+    assert.deepEqual(applyRobotOverrides(generateRobotSpec(`robot-edit-${i}`), EDITS), edited);
+    assert.deepEqual(validateRobotSpec(edited), []);
+    assert.deepEqual(edited.overrides, EDITS);
+    const types = Object.fromEntries(edited.parts.map((p) => [p.id, p.type]));
+    assert.equal(types.head, 'cyclops');
+    assert.equal(edited.locomotion, 'tracked');
+    assert.ok(types.backpack);
+    if (types['arm.left']) assert.equal(types['arm.left'], 'cannon');
+    if (types['arm.right']) assert.equal(types['arm.right'], 'shield');
+  }
+});
+
+test('overrides apply only to unedited specs and known keys', () => {
+  const spec = generateRobotSpec('robot-edit-a');
+  assert.throws(() => applyRobotOverrides(applyRobotOverrides(spec, { head: 'dome' }), { head: 'cube' }), /already has overrides/);
+  assert.throws(() => applyRobotOverrides(spec, { wings: 2 }), /Unknown override: wings/);
+  assert.throws(() => applyRobotOverrides(spec, { head: 'teapot' }), /Unknown head type/);
+});
+
+test('merging overrides nests dice and palette and drops undefined keys', () => {
+  const merged = mergeRobotOverrides({ head: 'dome', palette: { primary: '#111111' }, dice: { scale: 1 } },
+    { head: undefined, palette: { secondary: '#222222' }, armCount: 4 });
+  assert.deepEqual(merged, { palette: { primary: '#111111', secondary: '#222222' }, dice: { scale: 1 }, armCount: 4 });
+});
@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { registerPart } from '../robogen/registry.js';
+import { registerCatalogVersion } from '../robogen/versions.js';
+import { generateRobotSpec } from '../robogen/spec.js';
+
+const cube = ({ size: [s], tess, geo, add }) => add(geo.box(s, s, s, tess));
+
+test('pinned part types cannot be replaced', () => {
+  const before = generateRobotSpec('robot-pinned', { catalog: '1.3' });
+  assert.throws(() => registerPart('head', 'scanner', cube, { replace: true }), /pinned by catalog version 1\.0/);
+  assert.deepEqual(generateRobotSpec('robot-pinned', { catalog: '1.3' }), before);
+});
+
+test('unpinned types can be replaced until a version pins them', () => {
+  registerPart('head', 'crate', cube);
+  registerPart('head', 'crate', cube, { replace: true, weight: 2 });
+  registerCatalogVersion('test-crate');
+  assert.throws(() => registerPart('head', 'crate', cube, { replace: true }), /pinned by catalog version test-crate/);
+});
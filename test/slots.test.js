@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRobotSpec } from '../robogen/spec.js';
+
+// What the other slots roll: colors, scale, plan and each part's type, size and params
+const rolled = (spec, skip) => ({
+  palette: spec.palette,
+  scale: spec.scale,
+  locomotion: spec.locomotion,
+  parts: spec.parts.filter((p) => !skip.includes(p.id)).map(({ id, type, size, params }) => ({ id, type, size, params })),
+});
+
+const armIds = (...specs) => [...new Set(specs.flatMap((spec) => spec.parts.filter((p) => p.category === 'arm').map((p) => p.id)))];
+
+test('constraining the head leaves every other slot as it was', () => {
+  for (let i = 0; i < 100; i++) {
+    const base = generateRobotSpec(`robot-slot-${i}`);
+    const head = base.parts.find((p) => p.id === 'head').type === 'scanner' ? 'dome' : 'scanner';
+    const constrained = generateRobotSpec(`robot-slot-${i}`, { head });
+    assert.equal(constrained.parts.find((p) => p.id === 'head').type, head);
+    // The antenna sits on the head, so only its placement may move
+    assert.deepEqual(rolled(constrained, ['head', 'antenna']), rolled(base, ['head', 'antenna']));
+  }
+});
+
+test('reseeding a slot rerolls only that slot', () => {
+  for (let i = 0; i < 100; i++) {
+    const seed = `robot-slot-${i}`;
+    const base = generateRobotSpec(seed);
+    assert.deepEqual(rolled(generateRobotSpec(seed, { reseed: { head: `${seed}#2` } }), ['head', 'antenna']), rolled(base, ['head', 'antenna']));
+    const arms = generateRobotSpec(seed, { reseed: { arms: 7 } });
+    assert.deepEqual(rolled(arms, armIds(base, arms)), rolled(base, armIds(base, arms)));
+  }
+});
+
+test('reseeded robots are reproducible from their constraints', () => {
+  const spec = generateRobotSpec('robot-slot-a', { reseed: { palette: 7, arms: 'other' } });
+  assert.deepEqual(generateRobotSpec('robot-slot-a', spec.constraints), spec);
+  assert.notDeepEqual(spec.palette, generateRobotSpec('robot-slot-a').palette);
+});
+
+test('reseed needs a slot-seeded version and known slots', () => {
+  assert.throws(() => generateRobotSpec('robot-slot-a', { reseed: { wings: 1 } }), /wings/);
+  assert.throws(() => generateRobotSpec('robot-slot-a', { reseed: { head: {} } }), /must be a string or number/);
+  assert.throws(() => generateRobotSpec('robot-slot-a', { catalog: '1.3', reseed: { head: 2 } }), /slot seeding/);
+});
@@ -0,0 +1,21 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRobotSpec } from '../robogen/spec.js';
+import { solveRobotSpec } from '../robogen/solver.js';
+
+test('solving is deterministic and leaves the input spec alone', () => {
+  const spec = generateRobotSpec('robot-solve-1');
+  const before = structuredClone(spec);
+  const solved = solveRobotSpec(spec);
+  assert.deepEqual(spec, before);
+  assert.deepEqual(solveRobotSpec(spec), solved);
+});
+
+test('repaired specs have no attachment issues left', () => {
+  for (let i = 0; i < 40; i++) {
+    const { spec } = solveRobotSpec(generateRobotSpec(`robot-solve-${i}`));
+    const { report } = solveRobotSpec(spec, { repair: false });
+    assert.deepEqual(report.issues, [], `robot-solve-${i}`);
+    assert.ok(Math.abs(report.ground) < 1e-3, `robot-solve-${i} stands at y = ${report.ground}`);
+  }
+});
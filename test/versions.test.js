@@ -0,0 +1,58 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { generateRobot } from '../robogen/index.js';
+import { generateRobotSpec } from '../robogen/spec.js';
+import { applyRobotOverrides } from '../robogen/overrides.js';
+import { CATALOG_VERSIONS, robotFingerprint, robotGeometryFingerprint } from '../robogen/versions.js';
+
+// Catalog 1.0 seeds at detail 2, solid: [robotFingerprint, robotGeometryFingerprint].
+// A spec change means a version no longer reproduces its release; a geometry
+// change needs a changelog entry. Edge colors depend on three's color
+// management, so these hold for the three pinned in package.json.
+const PINNED = {
+  'robot-0': ['12ba6bd0df912544', '86b3c3615cbe3236'],
+  'robot-1': ['3be4c68eec3f580a', '91c9e1617dc1095d'],
+  'robot-2': ['3d751ff809a98a02', 'c063240cc66a446a'],
+  'robot-3': ['dc3b81cb84ecbf02', 'f0f3833061f68b74'],
+  'robot-4': ['949c19b8eb6d11a5', 'fe6c10cab48bec56'],
+  'robot-5': ['d6951983e9e9f344', '303045f1de730c32'],
+  'robot-6': ['b8d31be85b2949a4', '143a4637d467b339'],
+  'robot-7': ['8960826b5b7750ee', '75d38fa29400608a'],
+  'robot-8': ['d9e00820439ca36a', '4e00ab04377129d4'],
+  'robot-9': ['80d38bccaee8213a', 'e83dd549aeedaca3'],
+  'robot-10': ['b4a97199eca15958', '1ac6c1ce663feee5'],
+  'robot-11': ['700582057c9ead49', '8ce4ed58f293087d'],
+};
+
+test('catalog 1.0 seeds match their pinned fingerprints', () => {
+  Object.entries(PINNED).forEach(([seed, [spec, geometry]]) => {
+    const robot = generateRobot(seed, 2, true, { catalog: '1.0' });
+    assert.equal(robot.userData.fingerprint, spec, `${seed} spec`);
+    assert.equal(robotGeometryFingerprint(robot), geometry, `${seed} geometry`);
+  });
+});
+
+test('spec fingerprints survive a genome round trip', () => {
+  Object.keys(CATALOG_VERSIONS).forEach((catalog) => {
+    for (let i = 0; i < 400; i++) {
+      const spec = generateRobotSpec(`robot-trip-${i}`, { catalog });
+      assert.equal(robotFingerprint(applyRobotOverrides(spec, {})), robotFingerprint(spec), `${catalog} robot-trip-${i}`);
+    }
+  });
+});
+
+test('spec fingerprints ignore key order and metadata', () => {
+  const spec = generateRobotSpec('robot-keys');
+  const reordered = { parts: spec.parts.map((p) => Object.fromEntries(Object.entries(p).reverse())), locomotion: spec.locomotion };
+  assert.equal(robotFingerprint(reordered), robotFingerprint(spec));
+  assert.equal(robotFingerprint({ ...spec, rarity: 'legendary', seed: 'other' }), robotFingerprint(spec));
+});
+
+test('geometry fingerprints ignore placement but not detail', () => {
+  const robot = generateRobot('robot-placed', 2, true);
+  const fingerprint = robotGeometryFingerprint(robot);
+  robot.position.set(4, 0, -2);
+  robot.rotation.y = 1;
+  assert.equal(robotGeometryFingerprint(robot), fingerprint);
+  assert.notEqual(robotGeometryFingerprint(generateRobot('robot-placed', 3, true)), fingerprint);
+});